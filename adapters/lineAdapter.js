@@ -0,0 +1,437 @@
+const line = require('@line/bot-sdk');
+const { ActionTypes, ActivityTypes, BotAdapter, CardFactory, TurnContext } = require('botbuilder');
+
+const { ImageError, MAX_IMAGE_BYTES } = require('../services/imageFormat');
+const { fetchRemoteImage } = require('../services/remoteImage');
+
+// channelId of the activities coming from LINE.
+const LINE_CHANNEL_ID = 'line';
+const LINE_SERVICE_URL = 'https://api.line.me';
+
+// Largest webhook request read; LINE's own are a few kilobytes.
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Limits of the LINE Messaging API.
+const MAX_MESSAGES_PER_REQUEST = 5;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_ALT_TEXT_LENGTH = 400;
+const MAX_LABEL_LENGTH = 20;
+const MAX_POSTBACK_DATA_LENGTH = 300;
+const MAX_QUICK_REPLY_ITEMS = 13;
+const MAX_CAROUSEL_BUBBLES = 12;
+
+// turnState key of the messages waiting to be sent with the event's reply token.
+const OUTBOX_KEY = Symbol('lineOutbox');
+
+/**
+ * Connects the bot to a LINE Messaging API channel. Webhook events are checked against
+ * the channel secret and turned into activities: text messages into message activities,
+ * images into message activities whose attachment carries the image bytes, and taps on
+ * postback buttons into message activities with the button's value. Other events are
+ * ignored. Images are downloaded through the LINE content API, or from their own link,
+ * checked like the links users send, when another app provides them. An image that is
+ * turned down while downloading comes with its `ImageError` as the attachment content.
+ *
+ * The bot's replies are turned into LINE text, image and Flex messages, and suggested
+ * actions into quick replies. The replies of a turn are sent together with the event's
+ * reply token when the turn ends; proactive messages are pushed.
+ */
+class LineAdapter extends BotAdapter {
+    /**
+     * @param {Object} settings
+     * @param {string} settings.channelSecret Secret the webhook requests are signed with.
+     * @param {string} settings.channelAccessToken Token of the channel for the Messaging API.
+     * @param {number} [settings.maxImageBytes] Largest image downloaded.
+     * @param {number} [settings.maxRedirects] Redirects followed by the links of images other apps provide.
+     */
+    constructor(settings) {
+        super();
+        if (!settings || !settings.channelSecret) throw new Error('[LineAdapter]: Missing parameter. settings.channelSecret is required');
+        if (!settings.channelAccessToken) throw new Error('[LineAdapter]: Missing parameter. settings.channelAccessToken is required');
+        this.channelSecret = settings.channelSecret;
+        this.client = new line.Client({ channelAccessToken: settings.channelAccessToken });
+        this.maxImageBytes = settings.maxImageBytes || MAX_IMAGE_BYTES;
+        this.maxRedirects = settings.maxRedirects;
+    }
+
+    /**
+     * Handles a webhook request: checks its signature, answers it right away as LINE asks,
+     * then runs a turn for each event. The events run at once, so no event's reply token
+     * waits on another event's turn. Requests over `MAX_BODY_BYTES` are refused unread.
+     * @param {Object} req restify request, with its body not parsed yet.
+     * @param {Object} res restify response.
+     * @param {Function} logic Turn handler, such as `context => bot.run(context)`.
+     */
+    async processWebhook(req, res, logic) {
+        let body;
+        try {
+            body = await readBody(req, MAX_BODY_BYTES);
+        } catch (err) {
+            if (err.statusCode === 413) {
+                res.send(413, { message: 'The request is too large.' });
+                return;
+            }
+            console.error(`[LineAdapter]: could not read the webhook request. ${ err }`);
+            res.send(400, { message: 'Could not read the request.' });
+            return;
+        }
+
+        const signature = req.headers['x-line-signature'];
+        if (!signature || !line.validateSignature(body, this.channelSecret, signature)) {
+            res.send(401, { message: 'The LINE signature is missing or not valid.' });
+            return;
+        }
+
+        let webhook;
+        try {
+            webhook = JSON.parse(body.toString('utf8'));
+        } catch (err) {
+            res.send(400, { message: 'The request body is not valid JSON.' });
+            return;
+        }
+        res.send(200);
+
+        await Promise.all((webhook.events || []).map(async event => {
+            try {
+                await this.processEvent(event, webhook.destination, logic);
+            } catch (err) {
+                console.error(`[LineAdapter]: ${ event.type } event failed. ${ err }`);
+            }
+        }));
+    }
+
+    /**
+     * Runs a turn for a webhook event the bot handles, then replies with what it sent.
+     * @param {Object} event LINE webhook event.
+     * @param {string} destination User id of the bot.
+     * @param {Function} logic
+     */
+    async processEvent(event, destination, logic) {
+        const activity = await this.eventToActivity(event, destination);
+        if (!activity) return;
+
+        await this.runTurn(activity, event.replyToken, logic);
+    }
+
+    /**
+     * Runs a turn and sends what the bot sent in it, with the reply token when there is one
+     * and pushed otherwise, or when there are more messages than one reply can carry. A
+     * reply token that expired during a long turn, or that LINE refuses for another reason,
+     * falls back to pushing the messages.
+     * @param {Object} activity
+     * @param {string} [replyToken]
+     * @param {Function} logic
+     */
+    async runTurn(activity, replyToken, logic) {
+        const context = new TurnContext(this, activity);
+        const outbox = [];
+        context.turnState.set(OUTBOX_KEY, outbox);
+        await this.runMiddleware(context, logic);
+
+        for (let i = 0; i < outbox.length; i += MAX_MESSAGES_PER_REQUEST) {
+            const messages = outbox.slice(i, i + MAX_MESSAGES_PER_REQUEST);
+            if (i === 0 && replyToken) {
+                try {
+                    await this.client.replyMessage(replyToken, messages);
+                    continue;
+                } catch (err) {
+                    console.log(`[LineAdapter]: replying failed, pushing the messages instead. ${ err }`);
+                }
+            }
+            await this.client.pushMessage(activity.conversation.id, messages);
+        }
+    }
+
+    /**
+     * Returns the activity for a webhook event, or undefined when the bot does not handle it.
+     * LINE leaves out the user id of a group or room member who has not agreed to share it;
+     * their events then come from the group or room itself, so its members share one user
+     * state and one painting-of-the-day subscription, delivered to the group.
+     * @param {Object} event
+     * @param {string} destination
+     */
+    async eventToActivity(event, destination) {
+        const source = event.source || {};
+        const activity = {
+            type: ActivityTypes.Message,
+            id: event.message ? event.message.id : event.replyToken,
+            channelId: LINE_CHANNEL_ID,
+            serviceUrl: LINE_SERVICE_URL,
+            timestamp: new Date(event.timestamp),
+            from: { id: source.userId || source.groupId || source.roomId },
+            recipient: { id: destination },
+            conversation: {
+                id: source.groupId || source.roomId || source.userId,
+                isGroup: source.type !== 'user',
+                conversationType: source.type
+            },
+            channelData: event
+        };
+
+        if (event.type === 'postback') {
+            const value = parsePostbackData(event.postback.data);
+            if (typeof value === 'object' && value !== null) {
+                activity.value = value;
+            } else {
+                activity.text = event.postback.data;
+            }
+            return activity;
+        }
+        if (event.type !== 'message') return undefined;
+
+        switch (event.message.type) {
+        case 'text':
+            activity.text = event.message.text;
+            return activity;
+        case 'image':
+            activity.attachments = [await this.imageAttachment(event.message)];
+            return activity;
+        default:
+            return undefined;
+        }
+    }
+
+    /**
+     * Returns the attachment for an image message, with the image's bytes. Images sent
+     * through LINE are downloaded with the content API, which needs the channel token.
+     * Images other apps provide are downloaded from their link, which is anyone's to set,
+     * so it is checked like the links users send.
+     * @param {Object} message LINE image message.
+     */
+    async imageAttachment(message) {
+        const provider = message.contentProvider || {};
+        let content;
+        try {
+            if (provider.type === 'external') {
+                content = (await fetchRemoteImage(provider.originalContentUrl, { maxBytes: this.maxImageBytes, maxRedirects: this.maxRedirects })).data;
+            } else {
+                content = await readStream(await this.client.getMessageContent(message.id), this.maxImageBytes);
+            }
+        } catch (err) {
+            if (err.statusCode === 413) {
+                content = new ImageError(ImageError.tooLarge, `LINE image ${ message.id } is over the ${ this.maxImageBytes } byte limit`, err);
+            } else if (err instanceof ImageError) {
+                content = err;
+            } else {
+                throw err;
+            }
+        }
+        return { contentType: 'application/octet-stream', content };
+    }
+
+    /**
+     * Sends the bot's messages. Within a turn run by `runTurn()` they wait for the turn's
+     * end, to go together; otherwise they are pushed right away.
+     */
+    async sendActivities(context, activities) {
+        const outbox = context.turnState.get(OUTBOX_KEY);
+        const responses = [];
+        for (const activity of activities) {
+            const messages = activity.type === ActivityTypes.Message ? toLineMessages(activity) : [];
+            if (outbox) {
+                outbox.push(...messages);
+            } else {
+                for (let i = 0; i < messages.length; i += MAX_MESSAGES_PER_REQUEST) {
+                    await this.client.pushMessage(activity.conversation.id, messages.slice(i, i + MAX_MESSAGES_PER_REQUEST));
+                }
+            }
+            responses.push({ id: activity.id || '' });
+        }
+        return responses;
+    }
+
+    async updateActivity(context, activity) {
+        throw new Error('[LineAdapter]: LINE messages cannot be updated.');
+    }
+
+    async deleteActivity(context, reference) {
+        throw new Error('[LineAdapter]: LINE messages cannot be deleted.');
+    }
+
+    /**
+     * Runs `logic` in a proactive turn of a conversation, whose messages are pushed.
+     * @param {Object} reference Conversation reference saved from an earlier turn.
+     * @param {Function} logic
+     */
+    async continueConversation(reference, logic) {
+        const request = TurnContext.applyConversationReference(
+            { type: ActivityTypes.Event, name: 'continueConversation' },
+            reference,
+            true
+        );
+        await this.runTurn(request, undefined, logic);
+    }
+}
+
+/**
+ * Returns the LINE messages for a message activity: its text, then its attachments, with
+ * its suggested actions as quick replies on the last message.
+ * @param {Object} activity
+ * @returns {Object[]}
+ */
+function toLineMessages(activity) {
+    const messages = [];
+    if (activity.text) {
+        messages.push({ type: 'text', text: truncate(activity.text, MAX_TEXT_LENGTH) });
+    }
+
+    const attachments = activity.attachments || [];
+    const cards = attachments.filter(isCard);
+    if (activity.attachmentLayout === 'carousel' && cards.length > 1) {
+        for (let i = 0; i < cards.length; i += MAX_CAROUSEL_BUBBLES) {
+            const page = cards.slice(i, i + MAX_CAROUSEL_BUBBLES);
+            messages.push(flexMessage(page[0].content, { type: 'carousel', contents: page.map(card => cardBubble(card.content)) }));
+        }
+    } else {
+        cards.forEach(card => messages.push(flexMessage(card.content, cardBubble(card.content))));
+    }
+
+    for (const attachment of attachments.filter(attachment => !isCard(attachment) && attachment.contentUrl)) {
+        if ((attachment.contentType || '').startsWith('image/')) {
+            messages.push({ type: 'image', originalContentUrl: attachment.contentUrl, previewImageUrl: attachment.contentUrl });
+        } else {
+            messages.push({ type: 'text', text: attachment.name ? `${ attachment.name }: ${ attachment.contentUrl }` : attachment.contentUrl });
+        }
+    }
+
+    const suggested = activity.suggestedActions && activity.suggestedActions.actions;
+    if (messages.length > 0 && suggested && suggested.length > 0) {
+        const items = suggested
+            .map(toLineAction)
+            .filter(action => action && action.type !== 'uri')
+            .slice(0, MAX_QUICK_REPLY_ITEMS)
+            .map(action => ({ type: 'action', action }));
+        if (items.length > 0) messages[messages.length - 1].quickReply = { items };
+    }
+    return messages;
+}
+
+function isCard(attachment) {
+    return attachment.contentType === CardFactory.contentTypes.heroCard ||
+        attachment.contentType === CardFactory.contentTypes.thumbnailCard;
+}
+
+function flexMessage(card, contents) {
+    const altText = card.title || card.text || 'Painting';
+    return { type: 'flex', altText: truncate(altText, MAX_ALT_TEXT_LENGTH), contents };
+}
+
+/**
+ * Returns the Flex bubble for a hero or thumbnail card: its image, title, subtitle and
+ * text, and its buttons in the footer.
+ * @param {Object} card
+ */
+function cardBubble(card) {
+    const bubble = { type: 'bubble' };
+    const image = card.images && card.images[0];
+    if (image && image.url) {
+        bubble.hero = { type: 'image', url: image.url, size: 'full', aspectRatio: '4:3', aspectMode: 'fit' };
+    }
+
+    const contents = [];
+    if (card.title) contents.push({ type: 'text', text: card.title, weight: 'bold', size: 'lg', wrap: true });
+    if (card.subtitle) contents.push({ type: 'text', text: card.subtitle, size: 'sm', color: '#888888', wrap: true });
+    if (card.text) contents.push({ type: 'text', text: card.text, size: 'sm', wrap: true, margin: 'md' });
+    if (contents.length > 0) bubble.body = { type: 'box', layout: 'vertical', contents };
+
+    const actions = (card.buttons || []).map(toLineAction).filter(Boolean);
+    if (actions.length > 0) {
+        bubble.footer = {
+            type: 'box',
+            layout: 'vertical',
+            spacing: 'sm',
+            contents: actions.map(action => ({ type: 'button', style: 'link', height: 'sm', action }))
+        };
+    }
+    return bubble;
+}
+
+/**
+ * Returns the LINE action for a card action, or undefined when LINE has none like it.
+ * Postback values are sent back as JSON, and read back by `parsePostbackData()`.
+ * @param {Object} cardAction
+ */
+function toLineAction(cardAction) {
+    const label = truncate(cardAction.title || String(cardAction.value), MAX_LABEL_LENGTH);
+    switch (cardAction.type) {
+    case ActionTypes.ImBack:
+    case ActionTypes.MessageBack:
+        return { type: 'message', label, text: String(cardAction.text || cardAction.value) };
+    case ActionTypes.PostBack: {
+        const data = typeof cardAction.value === 'string' ? cardAction.value : JSON.stringify(cardAction.value);
+        if (data.length > MAX_POSTBACK_DATA_LENGTH) return undefined;
+        return { type: 'postback', label, data, displayText: cardAction.title };
+    }
+    case ActionTypes.OpenUrl:
+        return { type: 'uri', label, uri: cardAction.value };
+    default:
+        return undefined;
+    }
+}
+
+function parsePostbackData(data) {
+    try {
+        return JSON.parse(data);
+    } catch (err) {
+        return undefined;
+    }
+}
+
+function truncate(text, length) {
+    return text.length > length ? text.slice(0, length - 3) + '...' : text;
+}
+
+/**
+ * Returns the raw bytes of a request body, which the signature is computed over.
+ * @param {Object} req
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ * @throws {Error} With `statusCode` 413 when the body is over `maxBytes`.
+ */
+async function readBody(req, maxBytes) {
+    const declared = Number(req.headers['content-length']);
+    if (declared > maxBytes) throw tooLargeError(maxBytes);
+    if (req.rawBody !== undefined) {
+        const body = Buffer.from(req.rawBody);
+        if (body.length > maxBytes) throw tooLargeError(maxBytes);
+        return body;
+    }
+    return readStream(req, maxBytes);
+}
+
+/**
+ * Reads a stream to its end, failing with `statusCode` 413 as soon as it is over
+ * `maxBytes`. The rest of the stream is then dropped as it comes, so a request can
+ * still be answered.
+ * @param {Readable} stream
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer>}
+ */
+function readStream(stream, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let length = 0;
+        const onData = chunk => {
+            length += chunk.length;
+            if (length > maxBytes) {
+                stream.removeListener('data', onData);
+                stream.resume();
+                reject(tooLargeError(maxBytes));
+                return;
+            }
+            chunks.push(Buffer.from(chunk));
+        };
+        stream.on('data', onData);
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+function tooLargeError(maxBytes) {
+    const error = new Error(`The content is over the ${ maxBytes } byte limit`);
+    error.statusCode = 413;
+    return error;
+}
+
+module.exports.LINE_CHANNEL_ID = LINE_CHANNEL_ID;
+module.exports.LineAdapter = LineAdapter;
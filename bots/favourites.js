@@ -0,0 +1,157 @@
+const { findPaintingEntry, formatTimestamp } = require('./paintingHistory');
+
+// Paintings a user can keep in their gallery.
+const MAX_FAVOURITES = 100;
+
+// Favourites shown per page of the gallery carousel.
+const FAVOURITES_PAGE_SIZE = 5;
+
+// Days the link to an exported gallery stays valid, with upload storages whose links expire.
+const EXPORT_LINK_DAYS = 30;
+
+/**
+ * Adds a painting to `userProfile.favourites`, in the order they were saved.
+ * @param {Object} userProfile
+ * @param {Object} painting Catalog painting.
+ * @param {number} [maxFavourites]
+ * @returns {string} `added`, `alreadySaved` or `full`.
+ */
+function addFavourite(userProfile, painting, maxFavourites = MAX_FAVOURITES) {
+    const favourites = listFavourites(userProfile);
+    if (favourites.some(entry => entry.paintid === painting.paintid)) return 'alreadySaved';
+    if (favourites.length >= maxFavourites) return 'full';
+
+    // The details are copied so the gallery outlives changes to the catalog.
+    favourites.push({
+        paintid: painting.paintid,
+        title: painting.title,
+        author: painting.author,
+        year: painting.year,
+        style: painting.style,
+        technique: painting.technique,
+        medium: painting.medium,
+        dimensions: painting.dimensions,
+        location: painting.location,
+        description: painting.description,
+        url: painting.url,
+        savedAt: new Date().toISOString()
+    });
+    userProfile.favourites = favourites;
+    return 'added';
+}
+
+/**
+ * Removes a painting from the user's favourites and returns it, or undefined when it was not saved.
+ * @param {Object} userProfile
+ * @param {string} paintid
+ * @returns {Object|undefined}
+ */
+function removeFavourite(userProfile, paintid) {
+    const favourites = listFavourites(userProfile);
+    const index = favourites.findIndex(entry => entry.paintid === paintid);
+    if (index < 0) return undefined;
+    const [removed] = favourites.splice(index, 1);
+    userProfile.favourites = favourites;
+    return removed;
+}
+
+/**
+ * Returns the user's favourites in the order they were saved.
+ * @param {Object} userProfile
+ * @returns {Object[]}
+ */
+function listFavourites(userProfile) {
+    return (userProfile.favourites || []).slice();
+}
+
+/**
+ * Finds the favourite the user refers to by its number in the gallery or by words of
+ * its title or author.
+ * @param {Object} userProfile
+ * @param {string} query
+ * @returns {Object|undefined}
+ */
+function findFavourite(userProfile, query) {
+    return findPaintingEntry(listFavourites(userProfile), query);
+}
+
+/**
+ * Returns one page of the user's favourites.
+ * @param {Object} userProfile
+ * @param {number} page Page number, from 1; out-of-range pages are clamped.
+ * @param {number} [pageSize]
+ * @returns {{ entries: Object[], page: number, pageCount: number, offset: number }}
+ */
+function favouritesPage(userProfile, page, pageSize = FAVOURITES_PAGE_SIZE) {
+    const favourites = listFavourites(userProfile);
+    const pageCount = Math.max(1, Math.ceil(favourites.length / pageSize));
+    const current = Math.min(Math.max(1, Math.floor(page) || 1), pageCount);
+    const offset = (current - 1) * pageSize;
+    return { entries: favourites.slice(offset, offset + pageSize), page: current, pageCount, offset };
+}
+
+/**
+ * Renders the favourites as a JSON document.
+ * @param {Object[]} favourites
+ * @returns {string}
+ */
+function favouritesToJson(favourites) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), favourites }, null, 2);
+}
+
+/**
+ * Renders the favourites as a standalone HTML page.
+ * @param {Object[]} favourites
+ * @returns {string}
+ */
+function favouritesToHtml(favourites) {
+    const items = favourites.map(entry => {
+        const details = [entry.author, entry.year, entry.style, entry.medium || entry.technique, entry.dimensions].filter(Boolean).map(escapeHtml).join(' &middot; ');
+        const image = entry.url ? `<img src="${ escapeHtml(entry.url) }" alt="${ escapeHtml(entry.title) }">` : '';
+        return [
+            '<li>',
+            `  ${ image }`,
+            `  <h2>${ escapeHtml(entry.title) }</h2>`,
+            `  <p>${ details }</p>`,
+            entry.location ? `  <p>${ escapeHtml(entry.location) }</p>` : '',
+            entry.description ? `  <p>${ escapeHtml(entry.description) }</p>` : '',
+            `  <p class="saved">Saved ${ escapeHtml(formatTimestamp(entry.savedAt)) }</p>`,
+            '</li>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<title>My favourite paintings</title>',
+        '<style>body { font-family: sans-serif; } li { list-style: none; margin-bottom: 2em; } img { max-width: 320px; } .saved { color: #777; }</style>',
+        '</head>',
+        '<body>',
+        '<h1>My favourite paintings</h1>',
+        `<ul>\n${ items.join('\n') }\n</ul>`,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports.addFavourite = addFavourite;
+module.exports.EXPORT_LINK_DAYS = EXPORT_LINK_DAYS;
+module.exports.favouritesPage = favouritesPage;
+module.exports.favouritesToHtml = favouritesToHtml;
+module.exports.favouritesToJson = favouritesToJson;
+module.exports.findFavourite = findFavourite;
+module.exports.listFavourites = listFavourites;
+module.exports.MAX_FAVOURITES = MAX_FAVOURITES;
+module.exports.removeFavourite = removeFavourite;
@@ -0,0 +1,126 @@
+const { ActionTypes, CardFactory, MessageFactory } = require('botbuilder');
+
+// postBack actions sent by the buttons on the bot's cards.
+const CardActions = {
+    // Make the painting of the card the active painting.
+    selectPainting: 'selectPainting',
+    // Show a featured painting picked at random.
+    showFeaturedPainting: 'showFeaturedPainting',
+    // Show a page of the user's favourites.
+    showFavourites: 'showFavourites',
+    // Remove the painting of the card from the user's favourites.
+    removeFavourite: 'removeFavourite'
+};
+
+/**
+ * Returns a hero card showing a catalog painting.
+ * @param {Object} painting Catalog painting with `paintid`, `title`, `author`, `year` and `url`.
+ * @param {Object} [options]
+ * @param {string} [options.text] Extra line shown under the subtitle.
+ * @param {string} [options.selectTitle] Title of the button making this the active painting; no button if omitted.
+ * @param {string} [options.photoUrl] URL of the user's photo, opened by a second button.
+ * @param {string} [options.photoTitle] Title of the button opening `photoUrl`.
+ * @param {string} [options.removeTitle] Title of the button removing the painting from the user's favourites; no button if omitted.
+ */
+function paintingCard(painting, options = {}) {
+    const buttons = [];
+    if (options.selectTitle) {
+        buttons.push({
+            type: ActionTypes.PostBack,
+            title: options.selectTitle,
+            value: { action: CardActions.selectPainting, paintid: painting.paintid }
+        });
+    }
+    if (options.photoUrl && options.photoTitle) {
+        buttons.push({
+            type: ActionTypes.OpenUrl,
+            title: options.photoTitle,
+            value: options.photoUrl
+        });
+    }
+    if (options.removeTitle) {
+        buttons.push({
+            type: ActionTypes.PostBack,
+            title: options.removeTitle,
+            value: { action: CardActions.removeFavourite, paintid: painting.paintid }
+        });
+    }
+
+    return CardFactory.heroCard(
+        painting.title,
+        [painting.url],
+        buttons,
+        {
+            subtitle: [painting.author, painting.year].filter(Boolean).join(', '),
+            text: options.text
+        }
+    );
+}
+
+/**
+ * Returns a hero card showing only a painting's image, without its title or author.
+ * @param {Object} painting Catalog painting.
+ * @param {string} [text]
+ */
+function paintingImageCard(painting, text) {
+    return CardFactory.heroCard('', [painting.url], [], { text });
+}
+
+/**
+ * Returns a message offering to show a featured painting.
+ * @param {string} text
+ * @param {string} buttonTitle
+ */
+function featuredPaintingOffer(text, buttonTitle) {
+    return MessageFactory.suggestedActions([{
+        type: ActionTypes.PostBack,
+        title: buttonTitle,
+        value: { action: CardActions.showFeaturedPainting }
+    }], text);
+}
+
+/**
+ * Returns a message with buttons paging through the user's favourites.
+ * @param {string} text
+ * @param {Object} pages
+ * @param {number} pages.page Page shown, from 1.
+ * @param {number} pages.pageCount
+ * @param {string} pages.previousTitle
+ * @param {string} pages.nextTitle
+ */
+function favouritesPager(text, pages) {
+    const actions = [];
+    if (pages.page > 1) {
+        actions.push({
+            type: ActionTypes.PostBack,
+            title: pages.previousTitle,
+            value: { action: CardActions.showFavourites, page: pages.page - 1 }
+        });
+    }
+    if (pages.page < pages.pageCount) {
+        actions.push({
+            type: ActionTypes.PostBack,
+            title: pages.nextTitle,
+            value: { action: CardActions.showFavourites, page: pages.page + 1 }
+        });
+    }
+    return MessageFactory.suggestedActions(actions, text);
+}
+
+/**
+ * Returns the `{ action, ... }` value when the activity is a tap on one of the bot's buttons.
+ * @param {Object} activity
+ */
+function getCardAction(activity) {
+    const value = activity.value;
+    if (!value || !Object.values(CardActions).includes(value.action)) return undefined;
+    if (value.paintid !== undefined) return { ...value, paintid: String(value.paintid) };
+    return value;
+}
+
+module.exports.CardActions = CardActions;
+module.exports.favouritesPager = favouritesPager;
+module.exports.featuredPaintingOffer = featuredPaintingOffer;
+module.exports.getCardAction = getCardAction;
+module.exports.paintingCard = paintingCard;
+module.exports.paintingImageCard = paintingImageCard;
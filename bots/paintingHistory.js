@@ -0,0 +1,102 @@
+// Matches kept per user; the oldest are dropped first.
+const HISTORY_SIZE = 50;
+
+// Words ignored when looking a painting up in the history, as in "the Van Gogh painting".
+const FILLER_WORDS = new Set(['the', 'a', 'an', 'my', 'that', 'this', 'one', 'painting', 'picture', 'by', 'of']);
+
+/**
+ * Appends a painting matched for one of the user's photos to `userProfile.paintingHistory`,
+ * oldest first. When the latest entry is for the same photo, its painting is replaced
+ * instead, so picking another card from a match carousel does not add an entry.
+ * @param {Object} userProfile
+ * @param {Object} painting Catalog painting.
+ * @param {string} imageUrl URL of the photo that produced the match.
+ * @param {number} [size] Number of entries kept.
+ */
+function recordMatch(userProfile, painting, imageUrl, size = HISTORY_SIZE) {
+    const history = userProfile.paintingHistory || [];
+    const entry = {
+        paintid: painting.paintid,
+        title: painting.title,
+        author: painting.author,
+        year: painting.year,
+        imageUrl,
+        matchedAt: new Date().toISOString()
+    };
+
+    const latest = history[history.length - 1];
+    if (latest && latest.imageUrl === imageUrl) {
+        history[history.length - 1] = { ...entry, matchedAt: latest.matchedAt };
+    } else {
+        history.push(entry);
+    }
+    userProfile.paintingHistory = history.slice(-size);
+}
+
+/**
+ * Returns the user's history, most recent match first.
+ * @param {Object} userProfile
+ * @returns {Object[]}
+ */
+function listHistory(userProfile) {
+    return (userProfile.paintingHistory || []).slice().reverse();
+}
+
+/**
+ * Finds the most recent history entry the user refers to, either by its number in
+ * `listHistory()` ("2", "number 2", "#2") or by words of its title or author
+ * ("the Van Gogh", "starry night").
+ * @param {Object} userProfile
+ * @param {string} query
+ * @returns {Object|undefined}
+ */
+function findInHistory(userProfile, query) {
+    return findPaintingEntry(listHistory(userProfile), query);
+}
+
+/**
+ * Finds the first of a list of painting entries the user refers to, either by its
+ * position in the list ("2", "number 2", "#2") or by words of its title or author.
+ * @param {Object[]} entries Entries with `title`, `author` and `year`.
+ * @param {string} query
+ * @returns {Object|undefined}
+ */
+function findPaintingEntry(entries, query) {
+    const number = /^\s*(number\s+|no\.?\s*|#)?(\d+)\s*$/i.exec(query);
+    if (number) return entries[Number(number[2]) - 1];
+
+    const words = normalize(query).filter(word => !FILLER_WORDS.has(word));
+    if (words.length === 0) return undefined;
+    return entries.find(entry => {
+        const known = new Set(normalize([entry.title, entry.author, entry.year].filter(Boolean).join(' ')));
+        return words.every(word => known.has(word));
+    });
+}
+
+/**
+ * Formats an ISO timestamp as `YYYY-MM-DD HH:MM UTC`.
+ * @param {string} timestamp
+ */
+function formatTimestamp(timestamp) {
+    return `${ timestamp.slice(0, 10) } ${ timestamp.slice(11, 16) } UTC`;
+}
+
+/**
+ * Splits text into lower-case words without accents, so "Gogh's" and "gogh" compare equal.
+ */
+function normalize(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/'s\b/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+module.exports.findInHistory = findInHistory;
+module.exports.findPaintingEntry = findPaintingEntry;
+module.exports.formatTimestamp = formatTimestamp;
+module.exports.HISTORY_SIZE = HISTORY_SIZE;
+module.exports.listHistory = listHistory;
+module.exports.recordMatch = recordMatch;
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+
+// Local time subscribers get their painting at, unless they choose another.
+const DEFAULT_DELIVERY_TIME = '09:00';
+
+/**
+ * Sends the painting of the day to subscribers through proactive messages. The painting
+ * is picked among the featured paintings by date, so everyone gets the same one on the
+ * same day. Each subscriber gets it once a day, at the first call to `deliverDue()` after
+ * their delivery time in their own time zone. The day is claimed in the subscription
+ * before sending, so overlapping calls, from one bot instance or several, do not send
+ * it twice.
+ */
+class PaintingOfTheDay {
+    /**
+     * @param {BotAdapter} adapter Adapter the proactive messages are sent through.
+     * @param {QnABot} bot Bot whose `sendPaintingOfTheDay()` writes the message.
+     * @param {PaintingCatalog} catalog
+     * @param {SubscriptionStore} store
+     * @param {Object} [channelAdapters] Adapters of the channels `adapter` does not serve,
+     * keyed by channel id, such as `{ line: lineAdapter }`.
+     */
+    constructor(adapter, bot, catalog, store, channelAdapters = {}) {
+        if (!adapter) throw new Error('[PaintingOfTheDay]: Missing parameter. adapter is required');
+        if (!bot) throw new Error('[PaintingOfTheDay]: Missing parameter. bot is required');
+        if (!catalog) throw new Error('[PaintingOfTheDay]: Missing parameter. catalog is required');
+        if (!store) throw new Error('[PaintingOfTheDay]: Missing parameter. store is required');
+        this.adapter = adapter;
+        this.bot = bot;
+        this.catalog = catalog;
+        this.store = store;
+        this.channelAdapters = channelAdapters;
+    }
+
+    /**
+     * Sends the painting of the day to every subscriber whose delivery time has passed
+     * today and who has not had it yet. A subscriber who could not be sent to, or whose
+     * subscription could not be updated, is counted as failed and the others still get it.
+     * @param {Date} [now]
+     * @param {Object} [options]
+     * @param {boolean} [options.force] Send to every subscriber, whatever the time.
+     * @returns {Promise<{ delivered: number, skipped: number, failed: number }>}
+     */
+    async deliverDue(now = new Date(), options = {}) {
+        const result = { delivered: 0, skipped: 0, failed: 0 };
+        const featured = await this.catalog.listFeatured();
+        const subscriptions = await this.store.list();
+
+        for (const id of Object.keys(subscriptions)) {
+            if (featured.length === 0) {
+                result.skipped++;
+                continue;
+            }
+
+            // Claim today's delivery, with the store's concurrency check: a call that
+            // claimed it meanwhile makes the subscription no longer due.
+            let claim;
+            try {
+                await this.store.update(id, current => {
+                    claim = undefined;
+                    const date = current && dueDate(current, now, options.force);
+                    if (!date) return current;
+                    claim = { subscription: current, date };
+                    return { ...current, lastDelivered: date };
+                });
+            } catch (err) {
+                console.error(`[PaintingOfTheDay]: claiming the delivery to ${ id } failed. ${ err }`);
+                result.failed++;
+                continue;
+            }
+            if (!claim) {
+                result.skipped++;
+                continue;
+            }
+
+            const { subscription, date } = claim;
+            const painting = paintingForDate(featured, date);
+            try {
+                const adapter = this.channelAdapters[subscription.reference.channelId] || this.adapter;
+                await adapter.continueConversation(subscription.reference, context => this.bot.sendPaintingOfTheDay(context, painting));
+            } catch (err) {
+                console.error(`[PaintingOfTheDay]: sending to ${ id } failed. ${ err }`);
+                result.failed++;
+                await this.release(id, date, subscription.lastDelivered);
+                continue;
+            }
+            result.delivered++;
+        }
+        return result;
+    }
+
+    /**
+     * Gives back a day claimed for a delivery that failed, so the next call tries again.
+     */
+    async release(id, date, lastDelivered) {
+        try {
+            await this.store.update(id, current => current && current.lastDelivered === date ? { ...current, lastDelivered } : current);
+        } catch (err) {
+            console.error(`[PaintingOfTheDay]: releasing the delivery to ${ id } failed. ${ err }`);
+        }
+    }
+}
+
+/**
+ * Returns the subscriber's local date, `YYYY-MM-DD`, when their painting of the day is
+ * due: their delivery time has passed today and they have not had it yet, or `force` is set.
+ * @param {Object} subscription
+ * @param {Date} now
+ * @param {boolean} [force]
+ * @returns {string|undefined}
+ */
+function dueDate(subscription, now, force) {
+    const local = localDateTime(now, subscription.timeZone);
+    if (force || (subscription.lastDelivered !== local.date && local.time >= subscription.deliveryTime)) return local.date;
+    return undefined;
+}
+
+/**
+ * Picks the painting of the day for a date, `YYYY-MM-DD`.
+ * @param {Object[]} paintings
+ * @param {string} date
+ * @returns {Object|undefined}
+ */
+function paintingForDate(paintings, date) {
+    if (paintings.length === 0) return undefined;
+    const hash = crypto.createHash('sha256').update(date).digest();
+    return paintings[hash.readUInt32BE(0) % paintings.length];
+}
+
+/**
+ * Returns the date, `YYYY-MM-DD`, and time, `HH:MM`, it is in the time zone.
+ * @param {Date} now
+ * @param {string} timeZone IANA time zone name, such as `Europe/Paris`.
+ * @returns {{ date: string, time: string }}
+ */
+function localDateTime(now, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+    return { date: `${ parts.year }-${ parts.month }-${ parts.day }`, time: `${ parts.hour }:${ parts.minute }` };
+}
+
+/**
+ * Returns the time zone name when the runtime knows it, and undefined otherwise.
+ * @param {string} [timeZone]
+ */
+function validTimeZone(timeZone) {
+    if (!timeZone) return undefined;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone }).format();
+        return timeZone;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * Reads a delivery time such as "8", "8:30", "7.30 pm", "19h30" or "noon" as `HH:MM`.
+ * Returns undefined when the text is not a time.
+ * @param {string} text
+ */
+function parseDeliveryTime(text) {
+    const words = text.trim().toLowerCase();
+    if (words === 'noon' || words === 'midday') return '12:00';
+    if (words === 'midnight') return '00:00';
+
+    const match = /^(\d{1,2})(?:[:.h](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/.exec(words);
+    if (!match) return undefined;
+    let hour = Number(match[1]);
+    const minute = Number(match[2] || 0);
+    const half = match[3] && match[3][0];
+    if (minute > 59 || (half ? hour < 1 || hour > 12 : hour > 23)) return undefined;
+    if (half === 'p' && hour < 12) hour += 12;
+    if (half === 'a' && hour === 12) hour = 0;
+    return `${ String(hour).padStart(2, '0') }:${ String(minute).padStart(2, '0') }`;
+}
+
+/**
+ * Returns the id a user's subscription is kept under: one per user and channel.
+ * @param {Object} activity
+ */
+function subscriberId(activity) {
+    return `${ activity.channelId }/${ activity.from.id }`;
+}
+
+module.exports.DEFAULT_DELIVERY_TIME = DEFAULT_DELIVERY_TIME;
+module.exports.localDateTime = localDateTime;
+module.exports.paintingForDate = paintingForDate;
+module.exports.PaintingOfTheDay = PaintingOfTheDay;
+module.exports.parseDeliveryTime = parseDeliveryTime;
+module.exports.subscriberId = subscriberId;
+module.exports.validTimeZone = validTimeZone;
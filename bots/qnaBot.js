@@ -1,19 +1,95 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
-const { ActivityHandler, ActivityTypes, teamsGetChannelId, ConsoleTranscriptLogger } = require('botbuilder');
+const { ActivityHandler, ActivityTypes, MessageFactory, TurnContext } = require('botbuilder');
 const { LuisRecognizer, QnAMaker } = require('botbuilder-ai');
-const { maxActionTitleLength } = require('botbuilder-dialogs');
-const { BlobServiceClient } = require('@azure/storage-blob');
-const ComputerVisionClient = require('@azure/cognitiveservices-computervision').ComputerVisionClient;
-const ApiKeyCredentials = require('@azure/ms-rest-js').ApiKeyCredentials;
-const CosmosClient = require("@azure/cosmos").CosmosClient;
-const axios = require('axios');
+const { DialogSet } = require('botbuilder-dialogs');
 const uuid = require('uuid');
 const https = require('https')
+const path = require('path');
+
+const { extractPalette, mergePalettes } = require('../services/colorPalette');
+const { HashIndex } = require('../services/hashIndex');
+const { contentTypeOfUrl, ImageError, MAX_IMAGE_BYTES, MAX_IMAGE_PIXELS, prepareImage } = require('../services/imageFormat');
+const { fetchImage, tryDecodeImage } = require('../services/imageLoader');
+const { PaintingMatcher } = require('../services/paintingMatcher');
+const { PaletteIndex } = require('../services/paletteIndex');
+const { addFavourite, EXPORT_LINK_DAYS, favouritesPage, favouritesToHtml, favouritesToJson, findFavourite, listFavourites, MAX_FAVOURITES, removeFavourite } = require('./favourites');
+const { CardActions, favouritesPager, featuredPaintingOffer, getCardAction, paintingCard } = require('./paintingCards');
+const { findInHistory, formatTimestamp, HISTORY_SIZE, listHistory, recordMatch } = require('./paintingHistory');
+const { DEFAULT_DELIVERY_TIME, localDateTime, paintingForDate, parseDeliveryTime, subscriberId, validTimeZone } = require('./paintingOfTheDay');
+const { TagIndex } = require('../services/tagIndex');
+const { loadTagVocabulary } = require('../services/tagVocabulary');
+const { perceptualHash } = require('../services/perceptualHash');
+const { fetchRemoteImage } = require('../services/remoteImage');
+const { MIN_TITLE_SIMILARITY } = require('../services/titleMatcher');
+const { saveStateChanges } = require('../services/state');
+const { createTranslator, normalizeLanguage, TranslationError } = require('../services/translation');
+const { createVisionProvider, mergeTags, VisionError } = require('../services/vision');
+const { QUIZ_DIALOG, QuizDialog } = require('../dialogs/quizDialog');
+const { leaderboard } = require('./quizScores');
 
 const CONVERSATION_DATA_PROPERTY = 'conversationData';
 const USER_PROFILE_PROPERTY = 'userProfile';
+const DIALOG_STATE_PROPERTY = 'dialogState';
+const TAG_INDEX_REFRESH_MINUTES = 30;
+const TAG_VOCABULARY_FILE = path.join(__dirname, '..', 'data', 'tag-vocabulary.json');
+const MATCH_CAROUSEL_SIZE = 3;
+// Most recent matches shown for "show my paintings".
+const HISTORY_CAROUSEL_SIZE = 10;
+// Vision tags below this confidence are ignored for matching.
+const MIN_TAG_CONFIDENCE = 0.5;
+// A best match scoring below this (scores run from 0 to 1) is not presented as a match.
+const MIN_MATCH_SCORE = 0.3;
+// A detected language below this confidence does not change the language the bot replies in.
+const MIN_LANGUAGE_CONFIDENCE = 0.5;
+// Share of the match score given to colour-palette similarity rather than tags.
+const PALETTE_WEIGHT = 0.25;
+// Redirects followed when downloading a link the user sent.
+const MAX_REDIRECTS = 3;
+// Photos whose perceptual hash differs from a painting's in at most this many of 64 bits
+// are taken to be that painting.
+const HASH_MATCH_DISTANCE = 10;
+// Entity of the art LUIS app holding a painting title named in a question.
+const PAINTING_TITLE_ENTITY = 'paintingTitle';
+
+// "Combine my photos", "merge photos": several photos sent together are matched as one scene.
+const MERGE_PHOTOS_PATTERN = /^\s*(combine|merge)\s+(my\s+)?photos\s*[.!]*\s*$/i;
+// "Match my photos separately", "separate photos": each photo is matched on its own.
+const SEPARATE_PHOTOS_PATTERN = /^\s*((match|analy[sz]e)\s+(my\s+)?photos\s+separately|separate\s+(my\s+)?photos)\s*[.!]*\s*$/i;
+
+// "Show my paintings", "list my matches", "my painting history"
+const SHOW_HISTORY_PATTERN = /^\s*((show|list)(\s+me)?\s+)?my\s+(paintings|painting\s+history|matches)\s*[.!?]*\s*$/i;
+// "Go back to the Van Gogh", "back to number 2": an earlier match becomes the active painting.
+const GO_BACK_PATTERN = /^\s*(go\s+back|back|return|switch\s+back)\s+to\s+(.+?)\s*[.!?]*\s*$/i;
+
+// "Save this painting", "add it to my favourites"
+const SAVE_FAVOURITE_PATTERN = /^\s*((save|keep|favou?rite)\s+(this|that|it)(\s+(painting|one))?(\s+(to|in)\s+my\s+(favou?rites|gallery))?|add\s+(this|that|it)(\s+(painting|one))?\s+to\s+my\s+(favou?rites|gallery))\s*[.!]*\s*$/i;
+// "Show my favourites", "my gallery page 2"
+const SHOW_FAVOURITES_PATTERN = /^\s*((show|list|open)(\s+me)?\s+)?my\s+(favou?rites|gallery)(\s+page\s+(\d+))?\s*[.!?]*\s*$/i;
+// "Remove the Van Gogh from my favourites", "delete this from my gallery"
+const REMOVE_FAVOURITE_PATTERN = /^\s*(remove|delete)\s+(.+?)\s+from\s+my\s+(favou?rites|gallery)\s*[.!]*\s*$/i;
+// Words standing for the active painting in REMOVE_FAVOURITE_PATTERN.
+const ACTIVE_PAINTING_PATTERN = /^(this|that|it)(\s+(painting|one))?$/i;
+// "Export my favourites", "download my gallery as json"
+const EXPORT_FAVOURITES_PATTERN = /^\s*(export|download)\s+my\s+(favou?rites|gallery)(\s+(as|to|in)\s+(json|html))?\s*[.!]*\s*$/i;
+
+// "Quiz me", "start a quiz", "let's play"
+const QUIZ_PATTERN = /^\s*(quiz\s+me|(start|play)\s+(a\s+|the\s+)?quiz|let'?s\s+play)\s*[.!]*\s*$/i;
+// "Leaderboard", "show the quiz leaderboard", "high scores"
+const LEADERBOARD_PATTERN = /^\s*(show\s+(me\s+)?(the\s+)?)?(quiz\s+)?(leaderboard|high\s*scores)\s*[.!?]*\s*$/i;
+// "My score", "what's my quiz score?"
+const QUIZ_SCORE_PATTERN = /^\s*(what'?s\s+|what\s+is\s+|show\s+(me\s+)?)?my\s+(quiz\s+)?score\s*[.!?]*\s*$/i;
+
+// "Subscribe", "subscribe to the painting of the day at 8:30"
+const SUBSCRIBE_PATTERN = /^\s*subscribe(\s+me)?(\s+to\s+(the\s+)?(daily\s+painting|painting\s+of\s+the\s+day))?(\s+at\s+(.+?))?\s*[.!]*\s*$/i;
+// "Unsubscribe", "stop the painting of the day"
+const UNSUBSCRIBE_PATTERN = /^\s*(unsubscribe(\s+me)?(\s+from\s+(the\s+)?(daily\s+painting|painting\s+of\s+the\s+day))?|stop\s+(the\s+)?(daily\s+paintings?|painting\s+of\s+the\s+day))\s*[.!]*\s*$/i;
+// "Change my delivery time to 7 pm", "send it at 8:00"
+const DELIVERY_TIME_PATTERN = /^\s*((change|set)\s+(my\s+)?delivery\s+time\s+to|(send|deliver)\s+(it|my\s+painting)\s+at|deliver\s+at)\s+(.+?)\s*[.!]*\s*$/i;
+
+// "Why this painting?", "why did you pick that one", "why?"
+const WHY_THIS_PAINTING_PATTERN = /^\s*why(\s+(this|that)\s+(painting|one|match)|\s+did\s+you\s+(pick|choose|select)\s+(this|that|it)(\s+(painting|one))?)?\s*[?!.]*\s*$/i;
 
 /**
  * A simple bot that responds to utterances with answers from QnA Maker.
@@ -24,11 +100,17 @@ class QnABot extends ActivityHandler {
      *
      * @param {ConversationState} conversationState
      * @param {UserState} userState
+     * @param {PaintingCatalog} catalog
+     * @param {UploadStorage} uploadStorage Storage for the photos users send.
+     * @param {SubscriptionStore} subscriptionStore Painting-of-the-day subscriptions.
      */
-    constructor(conversationState, userState) {
+    constructor(conversationState, userState, catalog, uploadStorage, subscriptionStore) {
         super();
         if (!conversationState) throw new Error('[QnABot]: Missing parameter. conversationState is required');
         if (!userState) throw new Error('[QnABot]: Missing parameter. userState is required');
+        if (!catalog) throw new Error('[QnABot]: Missing parameter. catalog is required');
+        if (!uploadStorage) throw new Error('[QnABot]: Missing parameter. uploadStorage is required');
+        if (!subscriptionStore) throw new Error('[QnABot]: Missing parameter. subscriptionStore is required');
 
         // Create the state property accessors for the conversation data and user profile.
         this.conversationDataAccessor = conversationState.createProperty(CONVERSATION_DATA_PROPERTY);
@@ -37,11 +119,12 @@ class QnABot extends ActivityHandler {
         this.conversationState = conversationState;
         this.userState = userState;
 
-        // Create computer vision model 
-        const computerVisionClient = new ComputerVisionClient(
-          new ApiKeyCredentials({ inHeader: { 'Ocp-Apim-Subscription-Key': process.env.CVAPIKey } }), process.env.CVEndpointHostName);
+        // Create the vision provider tagging photos: Azure Computer Vision or local fixtures.
+        this.visionProvider = createVisionProvider();
 
-        this.computerVisionClient = computerVisionClient;
+        // Create the translator for the users' messages and the bot's replies: Azure Translator or an offline mock.
+        this.translator = createTranslator();
+        this.minLanguageConfidence = Number(process.env.MinLanguageConfidence || MIN_LANGUAGE_CONFIDENCE);
     
         const dispatchRecognizer = new LuisRecognizer({
             applicationId: process.env.LuisAppId,
@@ -62,14 +145,47 @@ class QnABot extends ActivityHandler {
 
         this.qnaMaker = qnaMaker;
 
-        const cosmosClient = new CosmosClient({ 
-          endpoint: process.env.CosmosDbEndpoint, 
-          key: process.env.CosmosDbAuthKey 
+        this.catalog = catalog;
+        this.uploadStorage = uploadStorage;
+        this.subscriptionStore = subscriptionStore;
+        this.dailyPaintingTime = parseDeliveryTime(process.env.DailyPaintingTime || '') || DEFAULT_DELIVERY_TIME;
+
+        // The quiz runs as a dialog, with its progress kept in the conversation state.
+        this.dialogs = new DialogSet(conversationState.createProperty(DIALOG_STATE_PROPERTY));
+        this.dialogs.add(new QuizDialog(catalog, {
+            userProfile: this.userProfileAccessor,
+            conversationData: this.conversationDataAccessor
+        }, (text, userProfile) => this.englishToOther(text, userProfile)));
+
+        // Match photos against an in-memory tag index of the whole catalog, rebuilt periodically
+        // so paintings added to the catalog are picked up without a restart.
+        // Catalog tags and vision tags are both mapped onto one vocabulary of synonyms,
+        // hypernyms and singular forms before they are compared.
+        this.tagVocabulary = loadTagVocabulary(process.env.TagVocabularyFile || TAG_VOCABULARY_FILE);
+        const refreshMinutes = Number(process.env.TagIndexRefreshMinutes || TAG_INDEX_REFRESH_MINUTES);
+        this.tagIndex = new TagIndex(async () => this.tagVocabulary.canonicalizeRows(await catalog.listTagRows()), refreshMinutes * 60 * 1000);
+        this.tagIndex.start().catch(err => console.error(`[QnABot]: building the tag index failed. ${ err }`));
+        this.paletteIndex = new PaletteIndex(() => catalog.listPaintings(), refreshMinutes * 60 * 1000);
+        this.paletteIndex.start().catch(err => console.error(`[QnABot]: building the palette index failed. ${ err }`));
+        this.paletteWeight = Number(process.env.PaletteWeight || PALETTE_WEIGHT);
+        // Photos of a catalog painting itself are recognized by image hash, without a vision call.
+        this.hashIndex = new HashIndex(() => catalog.listPaintings(), refreshMinutes * 60 * 1000);
+        this.hashIndex.start().catch(err => console.error(`[QnABot]: building the hash index failed. ${ err }`));
+        this.hashMatchDistance = Number(process.env.HashMatchDistance || HASH_MATCH_DISTANCE);
+        this.maxImageBytes = Number(process.env.MaxImageBytes || MAX_IMAGE_BYTES);
+        this.mergePhotosByDefault = process.env.MergePhotos === 'true';
+        this.maxRedirects = Number(process.env.MaxRedirects || MAX_REDIRECTS);
+        this.historySize = Number(process.env.PaintingHistorySize || HISTORY_SIZE);
+        this.maxFavourites = Number(process.env.MaxFavourites || MAX_FAVOURITES);
+        this.exportLinkDays = Number(process.env.FavouritesLinkDays || EXPORT_LINK_DAYS);
+        this.minTitleSimilarity = Number(process.env.MinTitleSimilarity || MIN_TITLE_SIMILARITY);
+        this.paintingMatcher = new PaintingMatcher(this.tagIndex, {
+            palettes: this.paletteIndex,
+            paletteWeight: this.paletteWeight
         });
-
-        const cosmosDatabase = cosmosClient.database("PaintingDB");
-        const cosmosContainer = cosmosDatabase.container("paintings");
-        this.cosmosContainer = cosmosContainer;
+        this.matchCarouselSize = Number(process.env.MatchCarouselSize || MATCH_CAROUSEL_SIZE);
+        this.minTagConfidence = Number(process.env.MinTagConfidence || MIN_TAG_CONFIDENCE);
+        this.minMatchScore = Number(process.env.MinMatchScore || MIN_MATCH_SCORE);
 
 
 
@@ -77,13 +193,28 @@ class QnABot extends ActivityHandler {
             // Get the state properties from the turn context.
             const userProfile = await this.userProfileAccessor.get(context, {});
             const conversationData = await this.conversationDataAccessor.get(context, {});
-            if (!userProfile.language){
-              userProfile.language = "\"en\""
+            // Profiles saved by earlier versions hold the language as a JSON string.
+            userProfile.language = normalizeLanguage(userProfile.language);
+            const cardAction = getCardAction(context.activity);
+            // A running quiz takes the user's answers; a photo or a tap on a card ends it.
+            const dialogContext = await this.dialogs.createContext(context);
+            if (dialogContext.activeDialog) {
+                if (cardAction || (context.activity.attachments && context.activity.attachments.length > 0)) {
+                    await dialogContext.cancelAllDialogs();
+                } else {
+                    await dialogContext.continueDialog();
+                    await next();
+                    return;
+                }
+            }
+            // If user tapped a button on one of the bot's cards
+            if (cardAction) {
+              await this.handleCardAction(context, cardAction, conversationData, userProfile);
             }
             // If user input is an attachment
-            if (context.activity.attachments && context.activity.attachments.length > 0) {
+            else if (context.activity.attachments && context.activity.attachments.length > 0) {
               // The user sent an attachment and the bot should handle the incoming attachment.
-              await this.handleIncomingAttachment(context,userProfile);
+              await this.handleIncomingAttachment(context, conversationData, userProfile);
             } 
             else {
               function validURL(str) {
@@ -97,12 +228,18 @@ class QnABot extends ActivityHandler {
               }
 
               if (validURL(context.activity.text)) {
-                await this.handleIncomingURL(context,userProfile);
+                await this.handleIncomingURL(context, conversationData, userProfile);
               }
               else {
                 // First, we use the dispatch model to determine which cognitive service (LUIS or QnA) to use.
                 context.activity.text = await this.otherToEnglish(context.activity.text,userProfile);
 
+                // Bot commands such as "why this painting?" are answered without dispatching.
+                if (await this.handleCommand(context, conversationData, userProfile)) {
+                  await next();
+                  return;
+                }
+
                 //console.log(`${context.activity.text}`)
                 //console.log(JSON.stringify(context, null, 4))
                 const recognizerResult = await dispatchRecognizer.recognize(context);
@@ -114,25 +251,7 @@ class QnABot extends ActivityHandler {
                 switch (intent) {
                   case 'art_luis':
                       console.log('sent to art luis')
-                      if(!userProfile.paintingID) {
-                        const reply1 = await this.englishToOther('Send me a URL first before you ask for the details!',userProfile);
-                        var reply2 = await this.englishToOther('You may upload your photo through this website:',userProfile);
-                        reply2 += " https://img.onl/"
-                        await context.sendActivity(reply1);
-                        await context.sendActivity(reply2);
-                      }
-                      else {
-                          const luisReply = await this.ProcessArtLuis(context, recognizerResult.luisResult,userProfile);
-                          if (userProfile.language!="\"en\""){
-                            console.log('not en')
-                            const reply = await this.englishToOther(luisReply,userProfile);
-                            console.log(`${reply}`)
-                            await context.sendActivity(reply);
-                          }
-                          else{
-                            await context.sendActivity(luisReply);
-                          }
-                      }
+                      await this.answerArtQuestion(context, recognizerResult.luisResult, userProfile);
                       break;
                   case 'art_qna':
                       console.log('sent to art QnA')
@@ -168,6 +287,41 @@ class QnABot extends ActivityHandler {
         });
     }
 
+    /**
+     * Answers a question routed to the art LUIS app. A painting named in the question, as in
+     * "who painted The Starry Night?", is looked up by title and becomes the active painting;
+     * otherwise the question is about the active painting.
+     * @param {Object} context
+     * @param {Object} luisResult Dispatch result carrying the art LUIS app's `connectedServiceResult`.
+     * @param {Object} userProfile
+     */
+    async answerArtQuestion(context, luisResult, userProfile) {
+        const title = paintingTitleEntity(luisResult);
+        if (title) {
+            const found = await this.catalog.findByTitle(title, this.minTitleSimilarity);
+            if (!found) {
+                await context.sendActivity(await this.englishToOther(`Sorry, I don't know a painting called "${ title }".`, userProfile));
+                return;
+            }
+            console.log(`Painting title "${ title }" matched painting ${ found.painting.paintid } (similarity ${ found.similarity.toFixed(2) })`);
+            this.setActivePainting(userProfile, found.painting);
+            if (found.similarity < 1) {
+                await context.sendActivity(await this.englishToOther(`I think you mean "${ found.painting.title }" by ${ found.painting.author }.`, userProfile));
+            }
+        }
+
+        if (!userProfile.paintingID) {
+            const reply1 = await this.englishToOther('Send me a URL first, or tell me which painting you mean, before you ask for the details!', userProfile);
+            const reply2 = await this.englishToOther('You may upload your photo through this website:', userProfile);
+            await context.sendActivity(reply1);
+            await context.sendActivity(`${ reply2 } https://img.onl/`);
+            return;
+        }
+
+        const luisReply = await this.ProcessArtLuis(context, luisResult, userProfile);
+        await context.sendActivity(await this.englishToOther(luisReply, userProfile));
+    }
+
     async ProcessArtLuis(context, luisResult,userProfile) {
         console.log('ProcessArtLuis');
         // Retrieve LUIS result for Process Automation.
@@ -175,36 +329,33 @@ class QnABot extends ActivityHandler {
         const intent = result.topScoringIntent.intent;
         //await context.sendActivity(`Art_Luis top intent ${ intent }.`);
         switch (intent) {
-          case 'paintingAuthor':
-              //await context.sendActivity(`Author of the painting is ${ userProfile.paintingAuthor }.`);
-              const reply1 = `Author of the painting is ${ userProfile.paintingAuthor }.`;
-              return reply1;
-              break;
-          case 'paintingDate':
-              //await context.sendActivity(`Date of the painting is ${ userProfile.paintingYear }.`);
-              const reply2 = `Year of the painting is ${ userProfile.paintingYear }.`;
-              return reply2;
-              break;
-          case 'paintingName':
-              //await context.sendActivity(`Name of the painting is ${ userProfile.paintingTitle }.`);
-              const reply3 = `Name of the painting is ${ userProfile.paintingTitle }.`;
-              return reply3;
-              break;
-          case 'paintingStyle':
-              //await context.sendActivity(`Style of the painting is ${ userProfile.paintingStyle }.`);
-              const reply4 = `Style of the painting is ${ userProfile.paintingStyle }.`;
-              return reply4;
-              break;
-          case 'paintingTechnique':
-              //await context.sendActivity(`Technique of the painting is ${ userProfile.paintingTechnique}.`);
-              const reply5 = `Technique of the painting is ${ userProfile.paintingTechnique}.`;
-              return reply5;
-              break;
-          default:
-              //await context.sendActivity(`Sorry, I didn't get that.`);
-              const reply6 = "Sorry, I didn't get that.";
-              return reply6;
-              break;
+        case 'paintingAuthor':
+            return `Author of the painting is ${ userProfile.paintingAuthor }.`;
+        case 'paintingDate':
+            return `Year of the painting is ${ userProfile.paintingYear }.`;
+        case 'paintingName':
+            return `Name of the painting is ${ userProfile.paintingTitle }.`;
+        case 'paintingStyle':
+            return `Style of the painting is ${ userProfile.paintingStyle }.`;
+        case 'paintingTechnique':
+            return `Technique of the painting is ${ userProfile.paintingTechnique }.`;
+        // Not every catalog painting has the fields below.
+        case 'paintingMedium':
+            return userProfile.paintingMedium
+                ? `Medium of the painting is ${ userProfile.paintingMedium }.`
+                : 'Sorry, I don\'t know what this painting is made of.';
+        case 'paintingDimensions':
+            return userProfile.paintingDimensions
+                ? `The painting measures ${ userProfile.paintingDimensions }.`
+                : 'Sorry, I don\'t know the size of this painting.';
+        case 'paintingLocation':
+            return userProfile.paintingLocation
+                ? `The painting is kept at ${ userProfile.paintingLocation }.`
+                : 'Sorry, I don\'t know where this painting is kept.';
+        case 'paintingDescription':
+            return userProfile.paintingDescription || 'Sorry, I don\'t have a description of this painting.';
+        default:
+            return 'Sorry, I didn\'t get that.';
         }
     }
 
@@ -273,426 +424,1046 @@ class QnABot extends ActivityHandler {
       });
     }
 
-    async otherToEnglish(text,userProfile){
-      const typeRes = await axios({
-        baseURL: process.env.TranslatorEndpoint,
-        url: '/detect',
-        method: 'post',
-        headers: {
-          'Ocp-Apim-Subscription-Key': process.env.TranslatorKey,
-          'Ocp-Apim-Subscription-Region': process.env.TranslatorLocation,
-          'Content-type': 'application/json',
-          'X-ClientTraceId': uuid.v4().toString()
-        },
-        params: {
-          'api-version': '3.0',
-        },
-        data: [{
-          'text': `${text}`
-        }],
-        responseType: 'json'
-      })
-      var languageType = JSON.stringify(typeRes.data[0].language, null, 4); 
-      userProfile.language=languageType
-      console.log(userProfile.language)
-      if (languageType != "\"en\""){
-        //userProfile.language=languageType
-        languageType = languageType.slice(1,-1)
-
-        const tranRes = await axios({
-          baseURL: process.env.TranslatorEndpoint,
-          url: '/translate',
-          method: 'post',
-          headers: {
-            'Ocp-Apim-Subscription-Key': process.env.TranslatorKey,
-            'Ocp-Apim-Subscription-Region': process.env.TranslatorLocation,
-            'Content-type': 'application/json',
-            'X-ClientTraceId': uuid.v4().toString()
-          },
-          params: {
-            'api-version': '3.0',
-            'from': `${languageType}`,
-            'to': ['en']
-          },
-          data: [{
-            'text': `${text}`
-          }],
-          responseType: 'json'
-        })
-    
-        var resultText = JSON.stringify(tranRes.data[0].translations[0].text, null, 4);
-        resultText = resultText.slice(1,-1)
-        console.log(`${resultText}`)
-
-        return resultText
-      }
-      else{
-        //userProfile.language=languageType
-        return text
-      }
-    }
-
-    async englishToOther(text,userProfile){
-      //const target = userProfile.language
-      console.log(userProfile)
-
-      var target = userProfile.language;
-      if (target === "\"en\""){
-        return text;
-      }
-
-      target = target.slice(1,-1)
-      console.log(target)
-
-      const tranRes = await axios({
-        baseURL: process.env.TranslatorEndpoint,
-        url: '/translate',
-        method: 'post',
-        headers: {
-          'Ocp-Apim-Subscription-Key': process.env.TranslatorKey,
-          'Ocp-Apim-Subscription-Region': process.env.TranslatorLocation,
-          'Content-type': 'application/json',
-          'X-ClientTraceId': uuid.v4().toString()
-        },
-        params: {
-          'api-version': '3.0',
-          'from': "en",
-          'to': target
-        },
-        data: [{
-          'text': `${text}`
-        }],
-        responseType: 'json'
-      })
-    
-      var resultText = JSON.stringify(tranRes.data[0].translations[0].text, null, 4);
-      resultText = resultText.slice(1,-1)
+    /**
+     * Translates the user's message into English, and keeps the language it was in as the
+     * one to reply in, with the confidence of the detection. A detection less sure than
+     * `MinLanguageConfidence` leaves the reply language as it was, as very short messages
+     * are often mistaken for another language. The message is used as it is when the
+     * translator fails.
+     * @param {string} text
+     * @param {Object} userProfile
+     */
+    async otherToEnglish(text, userProfile) {
+        let result;
+        try {
+            result = await this.translator.toEnglish(text);
+        } catch (err) {
+            if (!(err instanceof TranslationError)) throw err;
+            console.error(`[QnABot]: translating the message failed. ${ err.message }`);
+            return text;
+        }
+        console.log(`Language: ${ result.language } (${ result.confidence.toFixed(2) })`);
+        userProfile.languageConfidence = result.confidence;
+        if (result.confidence >= this.minLanguageConfidence) userProfile.language = result.language;
+        return result.text;
+    }
 
-      return resultText
+    /**
+     * Translates the bot's English text into the user's language. Calls made together are
+     * sent in one request; the text is sent in English when the translator fails.
+     * @param {string} text
+     * @param {Object} userProfile
+     */
+    async englishToOther(text, userProfile) {
+        return (await this.englishToOtherAll([text], userProfile))[0];
+    }
+
+    /**
+     * Translates several of the bot's English texts into the user's language in one request.
+     * @param {string[]} texts
+     * @param {Object} userProfile
+     * @returns {Promise<string[]>}
+     */
+    async englishToOtherAll(texts, userProfile) {
+        try {
+            return await this.translator.translateAll(texts, normalizeLanguage(userProfile.language));
+        } catch (err) {
+            if (!(err instanceof TranslationError)) throw err;
+            console.error(`[QnABot]: translating the reply failed. ${ err.message }`);
+            return texts;
+        }
     }
     
-    async handleIncomingURL(turnContext,userProfile) {
-      let tags = await(this.computerVision(turnContext.activity.text));
-
-      let paintNum = 33;
-      let maxTag = 0;
-      let matchCnt = [];
-
-      let queryString = "SELECT VALUE COUNT(1) FROM (SELECT * from c WHERE c.paintid = @n) as d WHERE ";
-      for ( let i = 0; i < tags.length; i++ ) {
-        queryString += `d.tag = \"${tags[i].name}\"`;
-        if ( i != tags.length - 1 )
-          queryString += " OR "; 
-      }
-
-      for ( let i = 1; i < paintNum; i++ ) {
-        // query to return all items
-        const querySpec = {
-          query: queryString,
-          parameters: [
-            {
-              name: "@n",
-              value: i.toString()
-            }
-          ]
-        };
+    /**
+     * Downloads the photo behind the link the user sent and replies with the paintings
+     * matching it. Links to web pages are followed to the page's `og:image`, and links to
+     * internal addresses are refused. The photo is stored like an attachment, so the vision
+     * service and matching only ever read the stored copy. Links sent without a scheme,
+     * such as `img.onl/abc`, are opened over HTTPS.
+     * @param {Object} turnContext
+     * @param {Object} conversationData
+     * @param {Object} userProfile
+     */
+    async handleIncomingURL(turnContext, conversationData, userProfile) {
+        const text = turnContext.activity.text.trim();
+        const url = /^https?:\/\//i.test(text) ? text : `https://${ text }`;
+
+        let remote;
+        let image;
+        try {
+            remote = await fetchRemoteImage(url, { maxBytes: this.maxImageBytes, maxRedirects: this.maxRedirects });
+            image = await prepareImage(remote.data, this.maxImageBytes);
+        } catch (error) {
+            if (!(error instanceof ImageError)) throw error;
+            console.log(`[QnABot]: rejected link. ${ error.message }`);
+            await turnContext.sendActivity(await this.englishToOther(this.describeRejectedImage(error, 'that link'), userProfile));
+            return;
+        }
 
-        const { resources: items } = await this.cosmosContainer.items
-          .query(querySpec)
-          .fetchAll();
-        
-        if ( items[0] > maxTag ) {
-          maxTag = items[0];
-        }
-        matchCnt.push(items[0]);
-      }
-      
-      let matchIds = [];
-      for ( let i = 0; i < matchCnt.length; ++i ) {
-        if (matchCnt[i] == maxTag)
-          matchIds.push(i+1);
-      }
-
-      const maxId = matchIds[Math.floor(Math.random() * matchIds.length)]; 
-      const querySpec = {
-        query: "SELECT * FROM c WHERE c.paintid = @n",
-        parameters: [
-          {
-            name: "@n",
-            value: maxId.toString()
-          },
-        ]
-      };
-
-      const { resources: items } = await this.cosmosContainer.items
-        .query(querySpec)
-        .fetchAll();
-
-      const replyPaint = { type: ActivityTypes.Message };
-      const replyPhoto = { type: ActivityTypes.Message };
-
-      
-      userProfile.paintingID = items[0].paintid;
-      userProfile.paintingTitle = items[0].title;
-      userProfile.paintingAuthor = items[0].author;
-      userProfile.paintingYear = items[0].year;
-      userProfile.paintingStyle = items[0].style;
-      userProfile.paintingTechnique = items[0].technique;
-
-      replyPaint.attachments = [this.getInternetAttachment(items[0].url)];
-      if(userProfile.language=="\"en\""){
-
-        let tagString = "Hmm... I see these features in your photo: "
-        for ( let i = 0; i < tags.length; i++ ) {
-          tagString += `"${tags[i].name}"`
-          if (i != tags.length - 1)
-            tagString += ", ";  
-        }
-
-        await turnContext.sendActivity("I received your photo!")
-        await turnContext.sendActivity(tagString);
-        await turnContext.sendActivity("Aha! I got you your masterpiece!")
-        await turnContext.sendActivity(replyPaint);
-        await turnContext.sendActivity("You can ask me for more details such as author, date, and so on ...")
-      }
-      else{
-
-        let tagString = "Hmm... I see these characteristics in your photo: "
-        for ( let i = 0; i < tags.length; i++ ) {
-          tagString += `"${tags[i].name}"`
-          if (i != tags.length - 1)
-            tagString += ", ";  
-        }
-        tagString = await this.englishToOther(tagString,userProfile);
-        const reply1 = await this.englishToOther("I received your photo!",userProfile);
-        const reply2 = await this.englishToOther("Aha! I found your painting!",userProfile);
-        const reply3 = await this.englishToOther("You can ask me for more details such as author, date, and so on ...",userProfile);
-
-        await turnContext.sendActivity(reply1);
-        await turnContext.sendActivity(replyPhoto);
-        await turnContext.sendActivity(tagString);
-        await turnContext.sendActivity(reply2);
-        await turnContext.sendActivity(replyPaint);
-        await turnContext.sendActivity(reply3);
-      }
-    }
-
-    /**
-     * Saves incoming attachments to disk by calling `this.downloadAttachmentAndWrite()` and
-     * responds to the user with information about the saved attachment or an error.
+        const saved = await this.storeImage(image);
+        if (!saved) {
+            await turnContext.sendActivity(await this.englishToOther('Sorry, I couldn\'t save that photo. Please send it again in a moment.', userProfile));
+            return;
+        }
+        await this.matchAndReply(turnContext, { imageUrl: saved.urlPath, data: saved.data, sourceName: remote.url }, conversationData, userProfile);
+    }
+
+    /**
+     * Saves incoming attachments to the upload storage by calling `this.saveAttachment()` and
+     * replies with the paintings matching each saved photo, or with the paintings matching
+     * all of them together when the user asked to combine photos. Files that are turned down
+     * or could not be saved are reported one by one.
      * @param {Object} turnContext
      */
-    async handleIncomingAttachment(turnContext,userProfile) {
-      // Prepare Promises to download each attachment and then execute each Promise.
-      const promises = turnContext.activity.attachments.map(this.writeAttachmentToBlob);
-      const successfulSaves = await Promise.all(promises);
-      
-      async function replyForBlobAttachments(blobAttachmentData) {
-        if (blobAttachmentData) {
-            // Because the TurnContext was bound to this function, the bot can call
-            // `TurnContext.sendActivity` via `this.sendActivity`;
-            await this.sendActivity(`Attachment "${ blobAttachmentData.fileName }" ` +
-                `has been received and saved to "${ blobAttachmentData.urlPath }".`);
-        } else {
-            await this.sendActivity('Attachment was not successfully saved to blob.');
-        }
-      }
-
-      // Prepare Promises to reply to the user with information about saved attachments.
-      // The current TurnContext is bound so `replyForReceivedAttachments` can also send replies.
-      // const replyPromises = successfulSaves.map(replyForBlobAttachments.bind(turnContext));
-
-      let tags = await(this.computerVision(successfulSaves[0].urlPath));
-
-      let paintNum = 33;
-      let maxTag = 0;
-      let matchCnt = [];
-
-      let queryString = "SELECT VALUE COUNT(1) FROM (SELECT * from c WHERE c.paintid = @n) as d WHERE ";
-      for ( let i = 0; i < tags.length; i++ ) {
-        queryString += `d.tag = \"${tags[i].name}\"`;
-        if ( i != tags.length - 1 )
-          queryString += " OR "; 
-      }
-
-      for ( let i = 1; i < paintNum; i++ ) {
-        // query to return all items
-        const querySpec = {
-          query: queryString,
-          parameters: [
-            {
-              name: "@n",
-              value: i.toString()
+    async handleIncomingAttachment(turnContext, conversationData, userProfile) {
+        // Prepare Promises to download each attachment and then execute each Promise.
+        const attachments = turnContext.activity.attachments;
+        const saves = await Promise.all(attachments.map(attachment => this.saveAttachment(attachment)));
+
+        const photos = [];
+        for (let i = 0; i < saves.length; i++) {
+            const name = attachments[i].name;
+            if (!saves[i]) {
+                const file = name ? `"${ name }"` : 'your photo';
+                await turnContext.sendActivity(await this.englishToOther(`Sorry, I couldn't save ${ file }. Please send it again in a moment.`, userProfile));
+            } else if (saves[i].rejection) {
+                await turnContext.sendActivity(await this.englishToOther(this.describeRejectedImage(saves[i].rejection, name ? `"${ name }"` : 'that file'), userProfile));
+            } else {
+                photos.push({ name, imageUrl: saves[i].urlPath, data: saves[i].data, sourceName: name || attachments[i].contentUrl });
             }
-          ]
+        }
+
+        if (photos.length > 1 && this.mergesPhotos(userProfile)) {
+            await this.matchMergedAndReply(turnContext, photos, conversationData, userProfile);
+            return;
+        }
+        for (let i = 0; i < photos.length; i++) {
+            const label = photos.length > 1
+                ? `Photo ${ i + 1 } of ${ photos.length }${ photos[i].name ? ` ("${ photos[i].name }")` : '' }:`
+                : undefined;
+            await this.matchAndReply(turnContext, photos[i], conversationData, userProfile, label);
+        }
+    }
+
+    /**
+     * Returns true when several photos sent together are to be matched as one scene,
+     * as set by the user or, by default, by the `MergePhotos` setting.
+     * @param {Object} userProfile
+     */
+    mergesPhotos(userProfile) {
+        return typeof userProfile.mergePhotos === 'boolean' ? userProfile.mergePhotos : this.mergePhotosByDefault;
+    }
+
+    /**
+     * Returns the reply explaining why an image was turned down.
+     * @param {ImageError} error
+     * @param {string} what How the reply refers to the file or link, such as `"photo.png"` or `that link`.
+     */
+    describeRejectedImage(error, what) {
+        switch (error.reason) {
+        case ImageError.tooLarge:
+            return `Sorry, ${ what } is too large. Please send a photo smaller than ${ formatMegabytes(this.maxImageBytes) }.`;
+        case ImageError.tooManyPixels:
+            return `Sorry, ${ what } has too many pixels. Please send a photo of at most ${ MAX_IMAGE_PIXELS / 1000000 } megapixels.`;
+        case ImageError.notAnImage:
+            return `Sorry, ${ what } isn't a photo I can look at. Please send a JPEG, PNG, GIF, WebP or HEIC image.`;
+        case ImageError.blockedAddress:
+            return `Sorry, I can't open ${ what }: it points to a private or local address.`;
+        case ImageError.tooManyRedirects:
+            return `Sorry, ${ what } redirects too many times. Please send a direct link to the photo.`;
+        case ImageError.unreachable:
+            return `Sorry, I couldn't download ${ what }. Please check the link and try again.`;
+        default:
+            return `Sorry, I couldn't read ${ what }. Please try another photo.`;
+        }
+    }
+
+    /**
+     * Tags a stored photo with the vision provider, makes the best matching painting the
+     * user's active painting and sends it back. A photo of a catalog painting itself is
+     * recognized by its perceptual hash instead. The tags and scores are kept in
+     * `conversationData.lastMatch` for `explainMatch()`.
+     * @param {Object} turnContext
+     * @param {Object} photo `{ imageUrl, data, sourceName }`: the stored photo's URL and
+     * bytes, and what it was called before it was stored.
+     * @param {Object} conversationData
+     * @param {Object} userProfile
+     * @param {string} [label] Names the photo when several are answered in a row.
+     */
+    async matchAndReply(turnContext, photo, conversationData, userProfile, label) {
+        await turnContext.sendActivity(await this.englishToOther(label || 'I received your photo!', userProfile));
+
+        // The stored bytes are decoded once, for the hash and the palette. When they cannot
+        // be decoded the photo is still matched by its vision tags alone.
+        const { imageUrl } = photo;
+        const image = tryDecodeImage(photo.data, imageUrl);
+        if (image && await this.recognizePainting(turnContext, image, imageUrl, conversationData, userProfile)) {
+            return;
+        }
+
+        const tags = await this.tagPhoto(turnContext, photo, userProfile);
+        if (!tags) return;
+
+        const palette = image && this.paletteWeight > 0 ? extractPalette(image) : undefined;
+        await this.replyWithMatches(turnContext, { imageUrl, tags, palette }, conversationData, userProfile);
+    }
+
+    /**
+     * Matches several photos of one scene as a single photo: their tags are merged, each
+     * keeping its highest confidence, and their palettes are combined.
+     * @param {Object} turnContext
+     * @param {Object[]} photos `{ imageUrl, data, sourceName }` of each stored photo.
+     * @param {Object} conversationData
+     * @param {Object} userProfile
+     */
+    async matchMergedAndReply(turnContext, photos, conversationData, userProfile) {
+        await turnContext.sendActivity(await this.englishToOther(`I received ${ photos.length } photos! I'll look at them together as one scene.`, userProfile));
+
+        const tagLists = [];
+        const palettes = [];
+        for (const photo of photos) {
+            const tags = await this.tagPhoto(turnContext, photo, userProfile);
+            if (!tags) continue;
+            tagLists.push(tags);
+            const image = this.paletteWeight > 0 ? tryDecodeImage(photo.data, photo.imageUrl) : undefined;
+            if (image) palettes.push(extractPalette(image));
+        }
+        if (tagLists.length === 0) return;
+
+        const imageUrls = photos.map(photo => photo.imageUrl);
+        await this.replyWithMatches(turnContext, {
+            imageUrl: imageUrls[0],
+            imageUrls,
+            tags: mergeTags(tagLists),
+            palette: palettes.length > 0 ? mergePalettes(palettes) : undefined
+        }, conversationData, userProfile);
+    }
+
+    /**
+     * Tags a stored photo with the vision provider and keeps the tags confident enough
+     * for matching. Tells the user and returns undefined when the image cannot be analysed.
+     * @param {Object} turnContext
+     * @param {Object} photo `{ imageUrl, sourceName }`
+     * @param {Object} userProfile
+     * @returns {Promise<Object[]|undefined>}
+     */
+    async tagPhoto(turnContext, photo, userProfile) {
+        let tags;
+        try {
+            tags = await this.visionProvider.analyze(photo.imageUrl, photo.sourceName);
+        } catch (err) {
+            if (!(err instanceof VisionError)) throw err;
+            console.error(`[QnABot]: ${ err.message }`);
+            await turnContext.sendActivity(await this.englishToOther('Sorry, I couldn\'t look at that image. Please check the link or try another photo.', userProfile));
+            return undefined;
+        }
+        return tags.filter(tag => tag.confidence >= this.minTagConfidence);
+    }
+
+    /**
+     * Makes the painting best matching the photo's tags and palette the user's active
+     * painting and sends the best matches back as a carousel.
+     * @param {Object} turnContext
+     * @param {Object} photo `{ imageUrl, tags, palette }`, plus `imageUrls` for merged photos.
+     * @param {Object} conversationData
+     * @param {Object} userProfile
+     */
+    async replyWithMatches(turnContext, photo, conversationData, userProfile) {
+        const { imageUrl, imageUrls, tags, palette } = photo;
+        const subject = imageUrls ? 'your photos' : 'your photo';
+        if (tags.length === 0) {
+            await turnContext.sendActivity(await this.englishToOther(`Sorry, I couldn't recognize anything clearly in ${ imageUrls ? 'those images' : 'that image' }.`, userProfile));
+            await this.offerFeaturedPainting(turnContext, userProfile);
+            return;
+        }
+
+        const ranked = await this.paintingMatcher.match(this.tagVocabulary.canonicalizeTags(tags), palette);
+        // Keep at least the runner-up so the best match can be explained against it.
+        const { top, paintings } = await this.findMatchedPaintings(ranked, Math.max(this.matchCarouselSize, 2));
+
+        const tagString = `Hmm... I see these features in ${ subject }: ` + tags.map(tag => `"${ tag.name }"`).join(', ');
+
+        if (top.length === 0 || top[0].score < this.minMatchScore) {
+            console.log(`No good match: best score ${ top.length > 0 ? top[0].score.toFixed(3) : 'none' } is below ${ this.minMatchScore }`);
+            conversationData.lastMatch = { imageUrl, imageUrls, tags, candidates: [] };
+            const [tagReply, noMatchReply] = await this.englishToOtherAll([
+                tagString,
+                `Sorry, none of the paintings I know really match ${ subject }.`
+            ], userProfile);
+            await turnContext.sendActivity(tagReply);
+            await turnContext.sendActivity(noMatchReply);
+            await this.offerFeaturedPainting(turnContext, userProfile);
+            return;
+        }
+
+        console.log(`Best match: painting ${ top[0].paintid } (score ${ top[0].score.toFixed(3) })`);
+
+        conversationData.lastMatch = {
+            imageUrl,
+            imageUrls,
+            tags: tags.map(tag => ({ name: tag.name, confidence: tag.confidence })),
+            candidates: top.map((candidate, i) => ({
+                paintid: candidate.paintid,
+                title: paintings[i].title,
+                score: candidate.score,
+                tagScore: candidate.tagScore,
+                paletteSimilarity: candidate.paletteSimilarity,
+                matchedTags: candidate.matchedTags
+            }))
         };
 
-        const { resources: items } = await this.cosmosContainer.items
-          .query(querySpec)
-          .fetchAll();
-        
-        if ( items[0] > maxTag ) {
-          maxTag = items[0];
-        }
-        matchCnt.push(items[0]);
-      }
-        
-      let matchIds = [];
-      for ( let i = 0; i < matchCnt.length; ++i ) {
-        if (matchCnt[i] == maxTag)
-          matchIds.push(i+1);
-      }
-
-      const maxId = matchIds[Math.floor(Math.random() * matchIds.length)]; 
-      const querySpec = {
-        query: "SELECT * FROM c WHERE c.paintid = @n",
-        parameters: [
-          {
-            name: "@n",
-            value: maxId.toString()
-          },
-        ]
-      };
-
-      const { resources: items } = await this.cosmosContainer.items
-        .query(querySpec)
-        .fetchAll();
-
-      const replyPaint = { type: ActivityTypes.Message };
-
-      
-      userProfile.paintingID = items[0].paintid;
-      userProfile.paintingTitle = items[0].title;
-      userProfile.paintingAuthor = items[0].author;
-      userProfile.paintingYear = items[0].year;
-      userProfile.paintingStyle = items[0].style;
-      userProfile.paintingTechnique = items[0].technique;
-
-      replyPaint.attachments = [this.getInternetAttachment(items[0].url)];
-
-      if(userProfile.language=="\"en\""){
-
-        let tagString = "Hmm... I see these features in your photo: "
-        for ( let i = 0; i < tags.length; i++ ) {
-          tagString += `"${tags[i].name}"`
-          if (i != tags.length - 1)
-            tagString += ", ";  
-        }
-
-        await turnContext.sendActivity("I received your photo!")
-        await turnContext.sendActivity(tagString);
-        await turnContext.sendActivity("Aha! I got you your masterpiece!")
-        await turnContext.sendActivity(replyPaint);
-        await turnContext.sendActivity("You can ask me for more details such as author, date, and so on ...")
-      }
-      else{
-
-        let tagString = "Hmm... I see these characteristics in your photo: "
-        for ( let i = 0; i < tags.length; i++ ) {
-          tagString += `"${tags[i].name}"`
-          if (i != tags.length - 1)
-            tagString += ", ";  
-        }
-        tagString = await this.englishToOther(tagString,userProfile);
-
-        const reply1 = await this.englishToOther("I received your photo!",userProfile);
-        const reply2 = await this.englishToOther("Aha! I found your painting!",userProfile);
-        const reply3 = await this.englishToOther("You can ask me for more details such as author, date, and so on ...",userProfile);
-
-        await turnContext.sendActivity(reply1);
-        await turnContext.sendActivity(tagString);
-        await turnContext.sendActivity(reply2);
-        await turnContext.sendActivity(replyPaint);
-        await turnContext.sendActivity(reply3);
-      }
-  }
+        // The best match becomes the active painting until the user picks another card.
+        this.setActivePainting(userProfile, paintings[0]);
+        recordMatch(userProfile, paintings[0], imageUrl, this.historySize);
+
+        // The replies are translated in one request.
+        const shown = paintings.slice(0, this.matchCarouselSize);
+        const [tagReply, selectTitle, foundReply, detailsReply, pickedReply] = await this.englishToOtherAll([
+            tagString,
+            'Choose this painting',
+            'Aha! I got you your masterpiece!',
+            'You can ask me for more details such as author, date, and so on ...',
+            ...(shown.length > 1 ? [`I picked "${ paintings[0].title }". Tap another painting if it looks more like ${ subject }.`] : [])
+        ], userProfile);
+        const cards = shown.map((painting, i) => paintingCard(painting, {
+            text: `Score: ${ top[i].score.toFixed(2) }`,
+            selectTitle
+        }));
+
+        await turnContext.sendActivity(tagReply);
+        await turnContext.sendActivity(foundReply);
+        await turnContext.sendActivity(MessageFactory.carousel(cards));
+        if (pickedReply) await turnContext.sendActivity(pickedReply);
+        await turnContext.sendActivity(detailsReply);
+    }
 
-/**
-   * Returns an attachment to be sent to the user from a HTTPS URL.
-   */
-  getInternetAttachment(url) {
-    // NOTE: The contentUrl must be HTTPS.
-    return {
-        contentType: 'image/jpg',
-        contentUrl: url
-    };
-  }
-
- /**
-  * Downloads attachment to the blob.
-  * @param {Object} attachment
-  */
-  async writeAttachmentToBlob(attachment) {
-    // Retrieve the attachment via the attachment's contentUrl.
-    const url = attachment.contentUrl;
-
-    // File name to save to the blob
-    const blobName = "paintings" + uuid.v1() + ".jpg";
-
-    // Create the BlobServiceClient object which will be used to create a container client
-    const blobServiceClient = BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
-    const containerName = 'paintings';
-    // Get a reference to a container
-    const containerClient = blobServiceClient.getContainerClient(containerName);
-
-    try {
-        // arraybuffer is necessary for images
-        const response = await axios.get(url, { responseType: 'arraybuffer' });
-        // If user uploads JSON file, this prevents it from being written as "{"type":"Buffer","data":[123,13,10,32,32,34,108..."
-        if (response.headers['content-type'] === 'application/json') {
-            response.data = JSON.parse(response.data, (key, value) => {
-                return value && value.type === 'Buffer' ? Buffer.from(value.data) : value;
+    /**
+     * Returns the best `count` ranked candidates whose painting is still in the catalog,
+     * with their paintings. The indexes can still list a painting deleted meanwhile.
+     * @param {Object[]} ranked Candidates from `PaintingMatcher.match()`, best first.
+     * @param {number} count
+     * @returns {Promise<{ top: Object[], paintings: Object[] }>}
+     */
+    async findMatchedPaintings(ranked, count) {
+        const top = [];
+        const paintings = [];
+        for (let i = 0; i < ranked.length && top.length < count; i += count) {
+            const batch = ranked.slice(i, i + count);
+            const found = await Promise.all(batch.map(candidate => this.catalog.getPainting(candidate.paintid)));
+            batch.forEach((candidate, j) => {
+                if (!found[j]) {
+                    console.log(`Painting ${ candidate.paintid } matched but is no longer in the catalog`);
+                } else if (top.length < count) {
+                    top.push(candidate);
+                    paintings.push(found[j]);
+                }
             });
         }
+        return { top, paintings };
+    }
+
+    /**
+     * Looks the photo up among the catalog image hashes. When it is a copy of a catalog
+     * painting, that painting becomes the active painting and is sent back; returns true then.
+     * @param {Object} turnContext
+     * @param {Object} image Decoded photo.
+     * @param {string} imageUrl
+     * @param {Object} conversationData
+     * @param {Object} userProfile
+     */
+    async recognizePainting(turnContext, image, imageUrl, conversationData, userProfile) {
+        const nearest = await this.hashIndex.nearest(perceptualHash(image), this.hashMatchDistance);
+        const painting = nearest && await this.catalog.getPainting(nearest.paintid);
+        if (!painting) return false;
+
+        console.log(`Recognized painting ${ painting.paintid } (hash distance ${ nearest.distance })`);
+        conversationData.lastMatch = {
+            imageUrl,
+            tags: [],
+            candidates: [{
+                paintid: painting.paintid,
+                title: painting.title,
+                recognized: true,
+                hashDistance: nearest.distance
+            }]
+        };
+        this.setActivePainting(userProfile, painting);
+        recordMatch(userProfile, painting, imageUrl, this.historySize);
+
+        const [recognizedReply, detailsReply] = await this.englishToOtherAll([
+            'I recognize this one!',
+            'You can ask me for more details such as author, date, and so on ...'
+        ], userProfile);
+        await turnContext.sendActivity(recognizedReply);
+        await turnContext.sendActivity(MessageFactory.attachment(paintingCard(painting)));
+        await turnContext.sendActivity(detailsReply);
+        return true;
+    }
+
+    /**
+     * Handles the bot's own text commands. Returns true when the message was one of them.
+     * @param {Object} turnContext
+     * @param {Object} conversationData
+     * @param {Object} userProfile
+     */
+    async handleCommand(turnContext, conversationData, userProfile) {
+        const text = turnContext.activity.text || '';
+        if (WHY_THIS_PAINTING_PATTERN.test(text)) {
+            await this.explainMatch(turnContext, conversationData, userProfile);
+            return true;
+        }
+        if (MERGE_PHOTOS_PATTERN.test(text) || SEPARATE_PHOTOS_PATTERN.test(text)) {
+            userProfile.mergePhotos = MERGE_PHOTOS_PATTERN.test(text);
+            const reply = userProfile.mergePhotos
+                ? 'OK! When you send several photos at once, I\'ll look at them together as one scene.'
+                : 'OK! When you send several photos at once, I\'ll match each of them on its own.';
+            await turnContext.sendActivity(await this.englishToOther(reply, userProfile));
+            return true;
+        }
+        if (SHOW_HISTORY_PATTERN.test(text)) {
+            await this.showHistory(turnContext, userProfile);
+            return true;
+        }
+        const goBack = GO_BACK_PATTERN.exec(text);
+        if (goBack) {
+            await this.goBackToPainting(turnContext, goBack[2], userProfile);
+            return true;
+        }
+        if (QUIZ_PATTERN.test(text)) {
+            const dialogContext = await this.dialogs.createContext(turnContext);
+            await dialogContext.beginDialog(QUIZ_DIALOG);
+            return true;
+        }
+        if (LEADERBOARD_PATTERN.test(text)) {
+            await this.showLeaderboard(turnContext, conversationData, userProfile);
+            return true;
+        }
+        if (QUIZ_SCORE_PATTERN.test(text)) {
+            await this.showQuizScore(turnContext, userProfile);
+            return true;
+        }
+        const subscribe = SUBSCRIBE_PATTERN.exec(text);
+        if (subscribe) {
+            await this.subscribe(turnContext, subscribe[6], userProfile);
+            return true;
+        }
+        if (UNSUBSCRIBE_PATTERN.test(text)) {
+            await this.unsubscribe(turnContext, userProfile);
+            return true;
+        }
+        const deliveryTime = DELIVERY_TIME_PATTERN.exec(text);
+        if (deliveryTime) {
+            await this.changeDeliveryTime(turnContext, deliveryTime[6], userProfile);
+            return true;
+        }
+        if (SAVE_FAVOURITE_PATTERN.test(text)) {
+            await this.saveFavourite(turnContext, userProfile);
+            return true;
+        }
+        const showFavourites = SHOW_FAVOURITES_PATTERN.exec(text);
+        if (showFavourites) {
+            await this.showFavourites(turnContext, Number(showFavourites[6] || 1), userProfile);
+            return true;
+        }
+        const remove = REMOVE_FAVOURITE_PATTERN.exec(text);
+        if (remove) {
+            await this.handleRemoveFavourite(turnContext, remove[2], userProfile);
+            return true;
+        }
+        const exportFavourites = EXPORT_FAVOURITES_PATTERN.exec(text);
+        if (exportFavourites) {
+            await this.exportFavourites(turnContext, (exportFavourites[5] || 'html').toLowerCase(), userProfile);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Subscribes the user to the painting of the day, or updates their subscription, and
+     * sends new subscribers today's painting right away. The delivery time is in the time
+     * zone the channel reports for the user, or UTC.
+     * @param {Object} turnContext
+     * @param {string} [timeText] Delivery time as the user typed it.
+     * @param {Object} userProfile
+     */
+    async subscribe(turnContext, timeText, userProfile) {
+        const time = timeText && parseDeliveryTime(timeText);
+        if (timeText && !time) {
+            await turnContext.sendActivity(await this.englishToOther('Sorry, I didn\'t understand that time. Try "subscribe at 8:30" or "subscribe at 7 pm".', userProfile));
+            return;
+        }
 
-        // Get a block blob client
-        const blockBlobClient = containerClient.getBlockBlobClient(blobName);
+        const activity = turnContext.activity;
+        const timeZone = validTimeZone(activity.localTimezone) || 'UTC';
+        const today = localDateTime(new Date(), timeZone).date;
+        let isNew = false;
+        const subscription = await this.subscriptionStore.update(subscriberId(activity), current => {
+            isNew = !current;
+            return {
+                reference: TurnContext.getConversationReference(activity),
+                deliveryTime: time || (current && current.deliveryTime) || this.dailyPaintingTime,
+                timeZone,
+                // New subscribers get today's painting now rather than at the delivery time.
+                lastDelivered: current ? current.lastDelivered : today
+            };
+        });
 
-        // Upload data to the blob
-        const uploadBlobResponse = await blockBlobClient.upload(response.data, response.data.length);
-        console.log("Blob was uploaded successfully. requestId: ", uploadBlobResponse.requestId);
-    } catch (error) {
-        console.error(error);
-        return undefined;
+        await turnContext.sendActivity(await this.englishToOther(`You're subscribed! I'll send you a painting every day at ${ describeDeliveryTime(subscription) }. Say "unsubscribe" to stop.`, userProfile));
+        if (isNew) {
+            const painting = paintingForDate(await this.catalog.listFeatured(), today);
+            if (painting) await this.sendPaintingOfTheDay(turnContext, painting);
+        }
     }
-    // If no error was thrown while writing to blob, return the attachment's name
-    // and url to the file for the response back to the user.
-    return {
-        fileName: blobName,
-        urlPath: "https://artbotstore.blob.core.windows.net/paintings/" + blobName
-    };
-  }
 
-  async computerVision (url) {
-    try {
-      const tagsURL = url;
+    /**
+     * Cancels the user's painting-of-the-day subscription.
+     * @param {Object} turnContext
+     * @param {Object} userProfile
+     */
+    async unsubscribe(turnContext, userProfile) {
+        let wasSubscribed = false;
+        await this.subscriptionStore.update(subscriberId(turnContext.activity), current => {
+            wasSubscribed = Boolean(current);
+            return undefined;
+        });
+        const reply = wasSubscribed
+            ? 'OK, no more paintings of the day. Say "subscribe" if you change your mind.'
+            : 'You are not subscribed to the painting of the day.';
+        await turnContext.sendActivity(await this.englishToOther(reply, userProfile));
+    }
 
-      function formatTags(tags) {
-        return tags.map(tag => (`${tag.name} (${tag.confidence.toFixed(2)})`)).join(', ');
-      };
+    /**
+     * Changes the time of day the user gets their painting.
+     * @param {Object} turnContext
+     * @param {string} timeText Delivery time as the user typed it.
+     * @param {Object} userProfile
+     */
+    async changeDeliveryTime(turnContext, timeText, userProfile) {
+        const time = parseDeliveryTime(timeText);
+        if (!time) {
+            await turnContext.sendActivity(await this.englishToOther('Sorry, I didn\'t understand that time. Try "send it at 8:30" or "send it at 7 pm".', userProfile));
+            return;
+        }
 
-      const tags = (await this.computerVisionClient.analyzeImage(tagsURL, { visualFeatures: ['Tags'] })).tags;
-      console.log(`Tags: ${formatTags(tags)}`);
-      return tags;
+        const subscription = await this.subscriptionStore.update(subscriberId(turnContext.activity), current => current && { ...current, deliveryTime: time });
+        const reply = subscription
+            ? `OK! From now on I'll send your painting of the day at ${ describeDeliveryTime(subscription) }.`
+            : 'You are not subscribed yet. Say "subscribe" to get a painting every day.';
+        await turnContext.sendActivity(await this.englishToOther(reply, userProfile));
     }
-    catch (err) {
-      console.log(err);
-      return undefined;
+
+    /**
+     * Sends the painting of the day, in the user's language. Called within a proactive
+     * turn by `PaintingOfTheDay`, and when a user subscribes.
+     * @param {TurnContext} context
+     * @param {Object} painting
+     */
+    async sendPaintingOfTheDay(context, painting) {
+        const userProfile = await this.userProfileAccessor.get(context, {});
+        userProfile.language = normalizeLanguage(userProfile.language);
+
+        const card = paintingCard(painting, {
+            text: painting.description,
+            selectTitle: await this.englishToOther('Tell me about this painting', userProfile)
+        });
+        await context.sendActivity(await this.englishToOther('Here is your painting of the day!', userProfile));
+        await context.sendActivity(MessageFactory.attachment(card));
+    }
+
+    /**
+     * Sends the quiz leaderboard of this conversation.
+     * @param {Object} turnContext
+     * @param {Object} conversationData
+     * @param {Object} userProfile
+     */
+    async showLeaderboard(turnContext, conversationData, userProfile) {
+        const players = leaderboard(conversationData);
+        if (players.length === 0) {
+            await turnContext.sendActivity(await this.englishToOther('Nobody has played the quiz here yet. Say "quiz me" to start!', userProfile));
+            return;
+        }
+
+        const [heading, streakLabel] = await this.englishToOtherAll(['Quiz leaderboard for this conversation:', 'best streak'], userProfile);
+        // Player names are left untranslated.
+        const lines = players.map((player, i) => `${ i + 1 }. ${ player.name }: ${ player.score }/${ player.answered }, ${ streakLabel } ${ player.bestStreak }`);
+        await turnContext.sendActivity([heading, ...lines].join('\n\n'));
+    }
+
+    /**
+     * Sends the user's quiz totals across all conversations.
+     * @param {Object} turnContext
+     * @param {Object} userProfile
+     */
+    async showQuizScore(turnContext, userProfile) {
+        const totals = userProfile.quiz;
+        const reply = totals
+            ? `Your quiz score is ${ totals.score } of ${ totals.answered }, and your best streak is ${ totals.bestStreak }.`
+            : 'You haven\'t played the quiz yet. Say "quiz me" to start!';
+        await turnContext.sendActivity(await this.englishToOther(reply, userProfile));
+    }
+
+    /**
+     * Adds the active painting to the user's favourites.
+     * @param {Object} turnContext
+     * @param {Object} userProfile
+     */
+    async saveFavourite(turnContext, userProfile) {
+        const painting = userProfile.paintingID && await this.catalog.getPainting(userProfile.paintingID);
+        if (!painting) {
+            await turnContext.sendActivity(await this.englishToOther('Send me a photo of a painting first, then say "save this painting" to keep it.', userProfile));
+            return;
+        }
+
+        let reply;
+        switch (addFavourite(userProfile, painting, this.maxFavourites)) {
+        case 'added':
+            reply = `Saved "${ painting.title }" to your favourites. Say "show my favourites" to see them.`;
+            break;
+        case 'alreadySaved':
+            reply = `"${ painting.title }" is already in your favourites.`;
+            break;
+        case 'full':
+            reply = `Your favourites are full (${ this.maxFavourites } paintings). Remove one before saving another.`;
+            break;
+        }
+        await turnContext.sendActivity(await this.englishToOther(reply, userProfile));
+    }
+
+    /**
+     * Sends one page of the user's favourites as a carousel, with buttons to the other pages.
+     * @param {Object} turnContext
+     * @param {number} page Page number, from 1.
+     * @param {Object} userProfile
+     */
+    async showFavourites(turnContext, page, userProfile) {
+        const favourites = favouritesPage(userProfile, page);
+        if (favourites.entries.length === 0) {
+            await turnContext.sendActivity(await this.englishToOther('You have no favourites yet. Say "save this painting" to keep the painting we are talking about.', userProfile));
+            return;
+        }
+
+        const [selectTitle, removeTitle] = await this.englishToOtherAll(['Talk about this one', 'Remove from favourites'], userProfile);
+        const cards = favourites.entries.map((entry, i) => paintingCard(entry, {
+            text: `#${ favourites.offset + i + 1 }: ${ formatTimestamp(entry.savedAt) }`,
+            selectTitle,
+            removeTitle
+        }));
+
+        const count = listFavourites(userProfile).length;
+        const intro = favourites.pageCount > 1
+            ? `Your ${ count } favourites, page ${ favourites.page } of ${ favourites.pageCount }:`
+            : `Your ${ count === 1 ? 'favourite' : `${ count } favourites` }:`;
+        await turnContext.sendActivity(await this.englishToOther(intro, userProfile));
+        await turnContext.sendActivity(MessageFactory.carousel(cards));
+        if (favourites.pageCount > 1) {
+            const [pagerText, previousTitle, nextTitle] = await this.englishToOtherAll(['See more of your favourites:', 'Previous page', 'Next page'], userProfile);
+            await turnContext.sendActivity(favouritesPager(pagerText, {
+                page: favourites.page,
+                pageCount: favourites.pageCount,
+                previousTitle,
+                nextTitle
+            }));
+        }
+    }
+
+    /**
+     * Removes the favourite the user names, as a title, an artist, a number or "this painting".
+     * @param {Object} turnContext
+     * @param {string} query
+     * @param {Object} userProfile
+     */
+    async handleRemoveFavourite(turnContext, query, userProfile) {
+        if (ACTIVE_PAINTING_PATTERN.test(query)) {
+            await this.removeFromFavourites(turnContext, userProfile.paintingID, userProfile);
+            return;
+        }
+        const entry = findFavourite(userProfile, query);
+        if (!entry) {
+            await turnContext.sendActivity(await this.englishToOther(`Sorry, I can't find "${ query }" among your favourites. Say "show my favourites" to see them.`, userProfile));
+            return;
+        }
+        await this.removeFromFavourites(turnContext, entry.paintid, userProfile);
+    }
+
+    /**
+     * Removes a painting from the user's favourites.
+     * @param {Object} turnContext
+     * @param {string} paintid
+     * @param {Object} userProfile
+     */
+    async removeFromFavourites(turnContext, paintid, userProfile) {
+        const removed = removeFavourite(userProfile, paintid);
+        const reply = removed
+            ? `Removed "${ removed.title }" from your favourites.`
+            : 'That painting is not in your favourites.';
+        await turnContext.sendActivity(await this.englishToOther(reply, userProfile));
+    }
+
+    /**
+     * Saves the user's favourites as a JSON or HTML file to the upload storage and sends
+     * a link to it, so they can keep the gallery after the conversation ends. Where the
+     * storage's links expire, the link is made to last `FavouritesLinkDays` and the reply
+     * says for how long.
+     * @param {Object} turnContext
+     * @param {string} format `json` or `html`.
+     * @param {Object} userProfile
+     */
+    async exportFavourites(turnContext, format, userProfile) {
+        const favourites = listFavourites(userProfile);
+        if (favourites.length === 0) {
+            await turnContext.sendActivity(await this.englishToOther('You have no favourites yet. Say "save this painting" to keep the painting we are talking about.', userProfile));
+            return;
+        }
+
+        const contentType = format === 'json' ? 'application/json' : 'text/html; charset=utf-8';
+        const content = format === 'json' ? favouritesToJson(favourites) : favouritesToHtml(favourites);
+        const linkMinutes = this.exportLinkDays * 24 * 60;
+        let contentUrl;
+        try {
+            contentUrl = await this.uploadStorage.save(`favourites${ uuid.v1() }.${ format }`, Buffer.from(content, 'utf8'), contentType, { linkMinutes });
+        } catch (error) {
+            console.error(error);
+            await turnContext.sendActivity(await this.englishToOther('Sorry, I couldn\'t export your favourites. Please try again in a moment.', userProfile));
+            return;
+        }
+
+        const lifetime = this.uploadStorage.linkLifetime(linkMinutes);
+        const expiry = lifetime ? ` (the link works for ${ formatDuration(lifetime) })` : '';
+        const text = await this.englishToOther(`Here are your ${ favourites.length } favourites as ${ format.toUpperCase() }${ expiry }:`, userProfile);
+        await turnContext.sendActivity(MessageFactory.attachment({ contentType, contentUrl, name: `my-favourites.${ format }` }, text));
+    }
+
+    /**
+     * Sends the paintings matched for the user's photos as a carousel, most recent first.
+     * @param {Object} turnContext
+     * @param {Object} userProfile
+     */
+    async showHistory(turnContext, userProfile) {
+        const history = listHistory(userProfile);
+        if (history.length === 0) {
+            await turnContext.sendActivity(await this.englishToOther('You haven\'t sent me any paintings yet. Send me a photo of one and I\'ll find it!', userProfile));
+            return;
+        }
+
+        const shown = history.slice(0, HISTORY_CAROUSEL_SIZE);
+        // Entries keep only what is needed to list them; the catalog has the painting's image.
+        const paintings = await Promise.all(shown.map(entry => this.catalog.getPainting(entry.paintid)));
+        const [selectTitle, photoTitle] = await this.englishToOtherAll(['Talk about this one again', 'My photo'], userProfile);
+        const cards = shown.map((entry, i) => paintingCard(paintings[i] || entry, {
+            text: `#${ i + 1 }: ${ formatTimestamp(entry.matchedAt) }`,
+            selectTitle: paintings[i] ? selectTitle : undefined,
+            photoUrl: entry.imageUrl,
+            photoTitle
+        }));
+
+        const intro = history.length > shown.length
+            ? `Here are the last ${ shown.length } of the ${ history.length } paintings you found:`
+            : `Here ${ history.length === 1 ? 'is the painting' : `are the ${ history.length } paintings` } you found:`;
+        await turnContext.sendActivity(await this.englishToOther(intro, userProfile));
+        await turnContext.sendActivity(MessageFactory.carousel(cards));
+        await turnContext.sendActivity(await this.englishToOther('Say "go back to" and a title, an artist or a number to talk about one of them again.', userProfile));
+    }
+
+    /**
+     * Makes the most recent match the user refers to the active painting again.
+     * @param {Object} turnContext
+     * @param {string} query Title, artist or number of the match, as in "the Van Gogh".
+     * @param {Object} userProfile
+     */
+    async goBackToPainting(turnContext, query, userProfile) {
+        const entry = findInHistory(userProfile, query);
+        const painting = entry && await this.catalog.getPainting(entry.paintid);
+        if (!entry) {
+            await turnContext.sendActivity(await this.englishToOther(`Sorry, I can't find "${ query }" among your paintings. Say "show my paintings" to see them.`, userProfile));
+            return;
+        }
+        if (!painting) {
+            await turnContext.sendActivity(await this.englishToOther('Sorry, I can\'t find that painting anymore.', userProfile));
+            return;
+        }
+
+        this.setActivePainting(userProfile, painting);
+        await turnContext.sendActivity(await this.englishToOther(`OK! Back to "${ painting.title }", from your photo of ${ formatTimestamp(entry.matchedAt) }. Ask me about its author, date, and so on ...`, userProfile));
+    }
+
+    /**
+     * Explains why the active painting matched the last photo: the tags they share, the
+     * confidence Computer Vision gave each tag, and the painting's score against the runner-up.
+     * @param {Object} turnContext
+     * @param {Object} conversationData
+     * @param {Object} userProfile
+     */
+    async explainMatch(turnContext, conversationData, userProfile) {
+        const lastMatch = conversationData.lastMatch;
+        const subject = lastMatch && lastMatch.imageUrls ? 'your photos' : 'your photo';
+        if (lastMatch && lastMatch.candidates.length === 0) {
+            await turnContext.sendActivity(await this.englishToOther(`None of the paintings I know matched ${ subject.replace('your', 'your last') } well enough, so I didn't pick one.`, userProfile));
+            return;
+        }
+
+        const chosen = lastMatch && lastMatch.candidates.find(candidate => candidate.paintid === userProfile.paintingID);
+        if (!chosen) {
+            await turnContext.sendActivity(await this.englishToOther('Send me a photo first and I\'ll tell you why I picked its painting!', userProfile));
+            return;
+        }
+
+        if (chosen.recognized) {
+            const explanation = `I recognized your photo as "${ chosen.title }" itself: it differs from the painting's image in only ${ chosen.hashDistance } of 64 bits of their perceptual hashes.`;
+            await turnContext.sendActivity(await this.englishToOther(explanation, userProfile));
+            return;
+        }
+
+        let explanation;
+        if (chosen.matchedTags.length > 0) {
+            const tagLines = chosen.matchedTags
+                .map(tag => `- "${ tag.name }" (confidence ${ Math.round(tag.confidence * 100) }%, weight ${ tag.weight.toFixed(2) })`)
+                .join('\n');
+            explanation = `I chose "${ chosen.title }" because it shares these tags with ${ subject }:\n${ tagLines }\n`;
+        } else {
+            explanation = `I chose "${ chosen.title }" for its colours; it shares no tags with ${ subject }.\n`;
+        }
+        if (chosen.paletteSimilarity !== undefined) {
+            explanation += `Tags give it ${ Math.round(chosen.tagScore * 100) }% and its colours are ${ Math.round(chosen.paletteSimilarity * 100) }% alike.\n`;
+        }
+
+        const runnerUp = lastMatch.candidates.find(candidate => candidate !== chosen);
+        if (runnerUp) {
+            explanation += `Its score is ${ chosen.score.toFixed(2) }, against ${ runnerUp.score.toFixed(2) } for "${ runnerUp.title }".`;
+        } else {
+            explanation += `Its score is ${ chosen.score.toFixed(2) }, and no other painting matched ${ subject }.`;
+        }
+
+        await turnContext.sendActivity(await this.englishToOther(explanation, userProfile));
+    }
+
+    /**
+     * Suggests sending another photo and offers a featured painting instead of a match.
+     * @param {Object} turnContext
+     * @param {Object} userProfile
+     */
+    async offerFeaturedPainting(turnContext, userProfile) {
+        const [text, buttonTitle] = await this.englishToOtherAll([
+            'Try a different photo with a clearer subject, or have a look at one of our featured paintings.',
+            'Show me a featured painting'
+        ], userProfile);
+        await turnContext.sendActivity(featuredPaintingOffer(text, buttonTitle));
+    }
+
+    /**
+     * Shows a featured painting picked at random, labelled so it is not mistaken for a match.
+     * @param {Object} turnContext
+     * @param {Object} userProfile
+     */
+    async showFeaturedPainting(turnContext, userProfile) {
+        const featured = await this.catalog.listFeatured();
+        if (featured.length === 0) {
+            await turnContext.sendActivity(await this.englishToOther('Sorry, there are no featured paintings right now.', userProfile));
+            return;
+        }
+
+        const painting = featured[Math.floor(Math.random() * featured.length)];
+        const [text, selectTitle] = await this.englishToOtherAll([
+            'Featured painting, picked at random. It is not a match for your photo.',
+            'Tell me about this painting'
+        ], userProfile);
+        const card = paintingCard(painting, { text, selectTitle });
+        await turnContext.sendActivity(MessageFactory.attachment(card));
+    }
+
+    /**
+     * Handles a tap on a button of one of the bot's cards.
+     * @param {Object} turnContext
+     * @param {Object} cardAction `{ action, paintid, page }` value of the button.
+     * @param {Object} conversationData
+     * @param {Object} userProfile
+     */
+    async handleCardAction(turnContext, cardAction, conversationData, userProfile) {
+        switch (cardAction.action) {
+        case CardActions.selectPainting:
+            await this.handlePaintingSelection(turnContext, cardAction.paintid, conversationData, userProfile);
+            break;
+        case CardActions.showFeaturedPainting:
+            await this.showFeaturedPainting(turnContext, userProfile);
+            break;
+        case CardActions.showFavourites:
+            await this.showFavourites(turnContext, Number(cardAction.page || 1), userProfile);
+            break;
+        case CardActions.removeFavourite:
+            await this.removeFromFavourites(turnContext, cardAction.paintid, userProfile);
+            break;
+        }
+    }
+
+    /**
+     * Makes the painting the user tapped on a match card the active painting. A painting
+     * picked from the last match carousel replaces the best match in the user's history.
+     * @param {Object} turnContext
+     * @param {string} paintid
+     * @param {Object} conversationData
+     * @param {Object} userProfile
+     */
+    async handlePaintingSelection(turnContext, paintid, conversationData, userProfile) {
+        const painting = await this.catalog.getPainting(paintid);
+        if (!painting) {
+            await turnContext.sendActivity(await this.englishToOther('Sorry, I can\'t find that painting anymore.', userProfile));
+            return;
+        }
+
+        this.setActivePainting(userProfile, painting);
+        const lastMatch = conversationData.lastMatch;
+        if (lastMatch && lastMatch.candidates.some(candidate => candidate.paintid === paintid)) {
+            recordMatch(userProfile, painting, lastMatch.imageUrl, this.historySize);
+        }
+        await turnContext.sendActivity(await this.englishToOther(`Got it! Let's talk about "${ painting.title }". Ask me about its author, date, and so on ...`, userProfile));
+    }
+
+    /**
+     * Rebuilds the in-memory indexes after the catalog changed.
+     */
+    refreshCatalogIndexes() {
+        return Promise.all([this.tagIndex.refresh(), this.paletteIndex.refresh(), this.hashIndex.refresh()]);
+    }
+
+    /**
+     * Copies the painting's details into the user profile so `ProcessArtLuis` answers about it.
+     * @param {Object} userProfile
+     * @param {Object} painting
+     */
+    setActivePainting(userProfile, painting) {
+        userProfile.paintingID = painting.paintid;
+        userProfile.paintingTitle = painting.title;
+        userProfile.paintingAuthor = painting.author;
+        userProfile.paintingYear = painting.year;
+        userProfile.paintingStyle = painting.style;
+        userProfile.paintingTechnique = painting.technique;
+        userProfile.paintingMedium = painting.medium;
+        userProfile.paintingDimensions = painting.dimensions;
+        userProfile.paintingLocation = painting.location;
+        userProfile.paintingDescription = painting.description;
+    }
+
+    /**
+     * Returns an attachment to be sent to the user from a HTTPS URL.
+     */
+    getInternetAttachment(url) {
+        // NOTE: The contentUrl must be HTTPS.
+        return {
+            contentType: contentTypeOfUrl(url),
+            contentUrl: url
+        };
+    }
+
+    /**
+     * Downloads attachment to the upload storage. Attachments whose bytes came with the
+     * activity as a `Buffer` `content`, as LINE images do, are not downloaded, and those
+     * whose `content` is the `ImageError` they were turned down with are reported. Returns
+     * `{ rejection }` with an `ImageError` when the attachment is not an image or is too
+     * large, and undefined when it could not be stored.
+     * @param {Object} attachment
+     */
+    async saveAttachment(attachment) {
+        // Retrieve the attachment via the attachment's contentUrl, and check it really is an image.
+        let image;
+        try {
+            const declaredType = attachment.contentType || '';
+            if (declaredType && !declaredType.startsWith('image/') && declaredType !== 'application/octet-stream') {
+                throw new ImageError(ImageError.notAnImage, `Attachment "${ attachment.name }" is ${ declaredType }`);
+            }
+            if (attachment.content instanceof ImageError) throw attachment.content;
+            const data = Buffer.isBuffer(attachment.content) ? attachment.content : await fetchImage(attachment.contentUrl, this.maxImageBytes);
+            image = await prepareImage(data, this.maxImageBytes);
+        } catch (error) {
+            if (error instanceof ImageError) {
+                console.log(`[QnABot]: rejected attachment. ${ error.message }`);
+                return { rejection: error };
+            }
+            console.error(error);
+            return undefined;
+        }
+
+        return this.storeImage(image);
+    }
+
+    /**
+     * Saves an image readied by `prepareImage()` to the upload storage. Returns undefined
+     * when it could not be stored.
+     * @param {Object} image
+     * @returns {Promise<{ fileName: string, urlPath: string, data: Buffer }|undefined>} The
+     * stored bytes come back in `data`, so the photo is not downloaded again to be matched.
+     */
+    async storeImage(image) {
+        // File name to save to the storage
+        const fileName = 'paintings' + uuid.v1() + image.extension;
+
+        let urlPath;
+        try {
+            urlPath = await this.uploadStorage.save(fileName, image.data, image.contentType);
+        } catch (error) {
+            console.error(error);
+            return undefined;
+        }
+        // If no error was thrown while saving, return the file's name
+        // and url to the file for the response back to the user.
+        return { fileName, urlPath, data: image.data };
     }
-  } 
 
   async run(context) {
         await super.run(context);
 
         // Save any state changes. The load happened during the execution of the Dialog.
-        await this.conversationState.saveChanges(context, false);
-        await this.userState.saveChanges(context, false);
+        // Changes made meanwhile by an overlapping turn are merged rather than overwritten.
+        await saveStateChanges(context, this.conversationState);
+        await saveStateChanges(context, this.userState);
     }
 }
 /**
      * Override the ActivityHandler.run() method to save state changes after the bot logic completes.
      */
     
+/**
+ * Returns the painting title the art LUIS app found in the question, as the user typed it.
+ * @param {Object} luisResult
+ * @returns {string|undefined}
+ */
+function paintingTitleEntity(luisResult) {
+    const result = luisResult && luisResult.connectedServiceResult;
+    const entities = ((result && result.entities) || []).filter(entity => entity.type === PAINTING_TITLE_ENTITY);
+    if (entities.length === 0) return undefined;
+
+    const best = entities.reduce((a, b) => (b.score || 0) > (a.score || 0) ? b : a);
+    // LUIS lower-cases the entity text; the query keeps the title as typed.
+    return typeof best.startIndex === 'number' && result.query
+        ? result.query.slice(best.startIndex, best.endIndex + 1)
+        : best.entity;
+}
+
+function describeDeliveryTime(subscription) {
+    return subscription.timeZone === 'UTC'
+        ? `${ subscription.deliveryTime } UTC`
+        : `${ subscription.deliveryTime } (${ subscription.timeZone } time)`;
+}
+
+function formatMegabytes(bytes) {
+    return `${ Math.round(bytes / (1024 * 1024) * 10) / 10 } MB`;
+}
+
+/**
+ * Returns a number of minutes in the largest whole unit, such as `30 days` or `90 minutes`.
+ * @param {number} minutes
+ */
+function formatDuration(minutes) {
+    let amount = minutes;
+    let unit = 'minute';
+    if (minutes % (24 * 60) === 0) {
+        amount = minutes / (24 * 60);
+        unit = 'day';
+    } else if (minutes % 60 === 0) {
+        amount = minutes / 60;
+        unit = 'hour';
+    }
+    return `${ amount } ${ unit }${ amount === 1 ? '' : 's' }`;
+}
+
 module.exports.QnABot = QnABot;
 
 // SIG // Begin signature block
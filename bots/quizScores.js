@@ -0,0 +1,50 @@
+// Players shown on a conversation's quiz leaderboard.
+const LEADERBOARD_SIZE = 10;
+
+/**
+ * Records a quiz answer in the user's running totals, `userProfile.quiz`, and on the
+ * leaderboard of the conversation it was given in, `conversationData.quizLeaderboard`.
+ * A correct answer scores one point and extends the streak; a wrong one ends the streak.
+ * @param {Object} userProfile
+ * @param {Object} conversationData
+ * @param {Object} user Channel account `{ id, name }` of the player.
+ * @param {boolean} correct
+ * @returns {Object} The user's updated totals `{ score, answered, streak, bestStreak }`.
+ */
+function recordAnswer(userProfile, conversationData, user, correct) {
+    userProfile.quiz = updateTotals(userProfile.quiz, correct);
+
+    const leaderboard = conversationData.quizLeaderboard || {};
+    leaderboard[user.id] = { ...updateTotals(leaderboard[user.id], correct), name: user.name || user.id };
+    conversationData.quizLeaderboard = leaderboard;
+
+    return userProfile.quiz;
+}
+
+/**
+ * Returns the conversation's best players, highest score first. Equal scores are broken
+ * by the best streak and then by the fewest questions answered.
+ * @param {Object} conversationData
+ * @param {number} [size]
+ * @returns {Object[]} `{ name, score, answered, streak, bestStreak }` entries.
+ */
+function leaderboard(conversationData, size = LEADERBOARD_SIZE) {
+    return Object.values(conversationData.quizLeaderboard || {})
+        .sort((a, b) => b.score - a.score || b.bestStreak - a.bestStreak || a.answered - b.answered)
+        .slice(0, size);
+}
+
+function updateTotals(totals, correct) {
+    const current = totals || { score: 0, answered: 0, streak: 0, bestStreak: 0 };
+    const streak = correct ? current.streak + 1 : 0;
+    return {
+        ...current,
+        score: current.score + (correct ? 1 : 0),
+        answered: current.answered + 1,
+        streak,
+        bestStreak: Math.max(current.bestStreak, streak)
+    };
+}
+
+module.exports.leaderboard = leaderboard;
+module.exports.recordAnswer = recordAnswer;
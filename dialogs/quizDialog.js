@@ -0,0 +1,178 @@
+const { MessageFactory } = require('botbuilder');
+const { ChoicePrompt, ComponentDialog, ListStyle, WaterfallDialog } = require('botbuilder-dialogs');
+
+const { paintingImageCard } = require('../bots/paintingCards');
+const { recordAnswer } = require('../bots/quizScores');
+
+const QUIZ_DIALOG = 'quizDialog';
+const QUIZ_WATERFALL = 'quizWaterfall';
+const ANSWER_PROMPT = 'quizAnswerPrompt';
+
+// Wrong answers offered with the right one, when the catalog has that many.
+const DISTRACTOR_COUNT = 3;
+
+// Value of the choice ending the quiz.
+const STOP_CHOICE = 'stop';
+
+// What a question can ask about a painting, and how to put it.
+const QUESTIONS = [
+    { field: 'author', text: 'Who painted this?' },
+    { field: 'year', text: 'When was this painted?' },
+    { field: 'style', text: 'What style is this painting?' }
+];
+
+/**
+ * "Quiz me" mode: shows a random catalog painting, asks who painted it, when or in which
+ * style, and offers the right answer among wrong ones taken from other catalog paintings.
+ * Questions follow one another until the user chooses to stop. Every answer is scored
+ * with `recordAnswer()`.
+ */
+class QuizDialog extends ComponentDialog {
+    /**
+     * @param {PaintingCatalog} catalog
+     * @param {Object} accessors
+     * @param {StatePropertyAccessor} accessors.userProfile
+     * @param {StatePropertyAccessor} accessors.conversationData
+     * @param {Function} translate `(text, userProfile)` translating the bot's English text for the user.
+     */
+    constructor(catalog, accessors, translate) {
+        super(QUIZ_DIALOG);
+        if (!catalog) throw new Error('[QuizDialog]: Missing parameter. catalog is required');
+        if (!accessors) throw new Error('[QuizDialog]: Missing parameter. accessors is required');
+        if (!translate) throw new Error('[QuizDialog]: Missing parameter. translate is required');
+
+        this.catalog = catalog;
+        this.userProfileAccessor = accessors.userProfile;
+        this.conversationDataAccessor = accessors.conversationData;
+        this.translate = translate;
+
+        const answerPrompt = new ChoicePrompt(ANSWER_PROMPT);
+        answerPrompt.style = ListStyle.suggestedAction;
+        this.addDialog(answerPrompt);
+        this.addDialog(new WaterfallDialog(QUIZ_WATERFALL, [
+            this.askStep.bind(this),
+            this.answerStep.bind(this)
+        ]));
+        this.initialDialogId = QUIZ_WATERFALL;
+    }
+
+    /**
+     * Shows a painting and asks a question about it. The options carry the session's
+     * progress: `{ asked, answered, correct }`.
+     */
+    async askStep(step) {
+        const userProfile = await this.userProfileAccessor.get(step.context, {});
+        const session = { asked: [], answered: 0, correct: 0, ...step.options };
+
+        const question = buildQuestion(await this.catalog.listPaintings(), session.asked);
+        if (!question) {
+            await step.context.sendActivity(await this.translate('I need at least two different paintings in my catalog to make a quiz. Sorry!', userProfile));
+            return await step.endDialog();
+        }
+        step.values.session = session;
+        step.values.question = question;
+
+        if (session.answered === 0) {
+            await step.context.sendActivity(await this.translate('Let\'s play! Pick the right answer, or "Stop the quiz" when you have had enough.', userProfile));
+        }
+        const text = await this.translate(question.text, userProfile);
+        await step.context.sendActivity(MessageFactory.attachment(paintingImageCard(question.painting)));
+
+        const stopTitle = await this.translate('Stop the quiz', userProfile);
+        const choices = question.answers.map(answer => ({ value: answer }));
+        choices.push({ value: STOP_CHOICE, action: { type: 'imBack', title: stopTitle, value: stopTitle }, synonyms: [stopTitle, 'stop', 'quit', 'exit'] });
+        return await step.prompt(ANSWER_PROMPT, {
+            prompt: text,
+            retryPrompt: await this.translate('Please pick one of the answers, or "Stop the quiz".', userProfile),
+            choices
+        });
+    }
+
+    /**
+     * Scores the answer and moves on to the next question, or ends the quiz with a summary.
+     */
+    async answerStep(step) {
+        const userProfile = await this.userProfileAccessor.get(step.context, {});
+        const { session, question } = step.values;
+
+        if (step.result.value === STOP_CHOICE) {
+            await step.context.sendActivity(await this.translate(describeSession(session, userProfile.quiz), userProfile));
+            return await step.endDialog();
+        }
+
+        const conversationData = await this.conversationDataAccessor.get(step.context, {});
+        const correct = step.result.value === question.answer;
+        const totals = recordAnswer(userProfile, conversationData, step.context.activity.from, correct);
+
+        const painting = question.painting;
+        const reply = correct
+            ? `Correct! "${ painting.title }" is by ${ painting.author }, ${ painting.year }, ${ painting.style }.${ totals.streak > 1 ? ` That's ${ totals.streak } in a row!` : '' }`
+            : `Not quite. "${ painting.title }" is by ${ painting.author }, ${ painting.year }, ${ painting.style }.`;
+        await step.context.sendActivity(await this.translate(reply, userProfile));
+
+        return await step.replaceDialog(QUIZ_WATERFALL, {
+            asked: [...session.asked, painting.paintid],
+            answered: session.answered + 1,
+            correct: session.correct + (correct ? 1 : 0)
+        });
+    }
+}
+
+/**
+ * Picks a painting, preferring ones not asked about yet, and a question about it that
+ * the catalog has at least one wrong answer for.
+ * @param {Object[]} paintings
+ * @param {string[]} asked Ids of the paintings already shown in this quiz.
+ * @returns {Object|undefined} `{ painting, text, answer, answers }`, with `answers` shuffled.
+ */
+function buildQuestion(paintings, asked) {
+    const fresh = paintings.filter(painting => !asked.includes(painting.paintid));
+    for (const painting of shuffle(fresh.length > 0 ? fresh : paintings)) {
+        for (const question of shuffle(QUESTIONS)) {
+            const answer = String(painting[question.field]);
+            const wrong = distinctValues(paintings, question.field).filter(value => !sameAnswer(value, answer));
+            if (wrong.length === 0) continue;
+            return {
+                painting,
+                text: question.text,
+                answer,
+                answers: shuffle([answer, ...shuffle(wrong).slice(0, DISTRACTOR_COUNT)])
+            };
+        }
+    }
+    return undefined;
+}
+
+function distinctValues(paintings, field) {
+    const values = [];
+    for (const painting of paintings) {
+        const value = painting[field] === undefined || painting[field] === null ? '' : String(painting[field]).trim();
+        if (value && !values.some(seen => sameAnswer(seen, value))) values.push(value);
+    }
+    return values;
+}
+
+function sameAnswer(a, b) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function describeSession(session, totals) {
+    if (session.answered === 0) return 'OK, no quiz this time. Say "quiz me" whenever you like!';
+    return `Thanks for playing! You got ${ session.correct } of ${ session.answered } right this time. ` +
+        `Your total score is ${ totals.score }, and your best streak is ${ totals.bestStreak }. Say "leaderboard" to see how everyone did.`;
+}
+
+/**
+ * Returns a shuffled copy of the list (Fisher-Yates).
+ */
+function shuffle(list) {
+    const copy = list.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+module.exports.QUIZ_DIALOG = QUIZ_DIALOG;
+module.exports.QuizDialog = QuizDialog;
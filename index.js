@@ -8,10 +8,20 @@ const path = require('path');
 const restify = require('restify');
 
 // Import required bot services. See https://aka.ms/bot-services to learn more about the different parts of a bot.
-const { BotFrameworkAdapter, ConversationState, MemoryStorage, UserState } = require('botbuilder');
+const { BotFrameworkAdapter, ConversationState, UserState } = require('botbuilder');
 const { QnAMaker } = require('botbuilder-ai');
 
-const { QnABot } = require('./bots/QnABot');
+const { LINE_CHANNEL_ID, LineAdapter } = require('./adapters/lineAdapter');
+const { PaintingOfTheDay } = require('./bots/paintingOfTheDay');
+const { QnABot } = require('./bots/qnaBot');
+const { createCatalog } = require('./services/catalog');
+const { MAX_IMAGE_BYTES } = require('./services/imageFormat');
+const { MAX_REDIRECTS } = require('./services/remoteImage');
+const { createStateStorage, SubscriptionStore } = require('./services/state');
+const { createUploadStorage } = require('./services/storage');
+const { registerAdminRoutes } = require('./routes/adminPaintings');
+const { registerNotifyRoutes } = require('./routes/notify');
+const { registerUploadRoutes } = require('./routes/uploads');
 
 // Note: Ensure you have a .env file and include QnAMakerKnowledgeBaseId, QnAMakerEndpointKey and QnAMakerHost.
 const ENV_FILE = path.join(__dirname, '.env');
@@ -34,7 +44,7 @@ const adapter = new BotFrameworkAdapter({
 });
 
 // Catch-all for errors.
-adapter.onTurnError = async (context, error) => {
+const onTurnErrorHandler = async (context, error) => {
     // This check writes out errors to console log .vs. app insights.
     // NOTE: In production environment, you should consider logging this to Azure
     //       application insights.
@@ -53,15 +63,34 @@ adapter.onTurnError = async (context, error) => {
     await context.sendActivity('To continue to run this bot, please fix the bot source code.');
 };
 
-// Define the state store for your bot. See https://aka.ms/about-bot-state to learn more about using MemoryStorage.
+// Set the onTurnError for the singleton BotFrameworkAdapter.
+adapter.onTurnError = onTurnErrorHandler;
+
+// Create the LINE Messaging API adapter when the LineChannelSecret and LineChannelAccessToken settings are set.
+let lineAdapter;
+if (process.env.LineChannelSecret && process.env.LineChannelAccessToken) {
+    lineAdapter = new LineAdapter({
+        channelSecret: process.env.LineChannelSecret,
+        channelAccessToken: process.env.LineChannelAccessToken,
+        maxImageBytes: Number(process.env.MaxImageBytes || MAX_IMAGE_BYTES),
+        maxRedirects: Number(process.env.MaxRedirects || MAX_REDIRECTS)
+    });
+    lineAdapter.onTurnError = onTurnErrorHandler;
+}
+
+// Define the state store for your bot. See https://aka.ms/about-bot-state to learn more about bot state.
 // A bot requires a state storage system to persist the dialog and user state between messages.
-const memoryStorage = new MemoryStorage();
+// The StateStorage setting selects memory, a local file, Cosmos DB or Azure Blob storage.
+const stateStorage = createStateStorage();
 
-// Create conversation and user state with in-memory storage provider.
-const conversationState = new ConversationState(memoryStorage);
-const userState = new UserState(memoryStorage);
+// Create conversation and user state with the configured storage provider.
+const conversationState = new ConversationState(stateStorage);
+const userState = new UserState(stateStorage);
 
-var endpointHostName = process.env.QnAEndpointHostName;
+// Painting-of-the-day subscriptions are kept in the same storage.
+const subscriptionStore = new SubscriptionStore(stateStorage);
+
+var endpointHostName = process.env.QnAEndpointHostName || '';
 if (!endpointHostName.startsWith('https://')) {
     endpointHostName = 'https://' + endpointHostName;
 }
@@ -70,8 +99,17 @@ if (!endpointHostName.includes('/v5.0') && !endpointHostName.endsWith('/qnamaker
     endpointHostName = endpointHostName + '/qnamaker';
 }
 
+// Create the painting catalog selected by the PaintingCatalog setting (Cosmos DB or a local JSON file).
+const catalog = createCatalog();
+
+// Create the storage for the photos users send, selected by the UploadStorage setting (Azure Blob or a local directory).
+const uploadStorage = createUploadStorage();
+
 // Create the bot's main handler.
-const bot = new QnABot(conversationState, userState);
+const bot = new QnABot(conversationState, userState, catalog, uploadStorage, subscriptionStore);
+
+// Sends the painting of the day to subscribers through proactive messages.
+const paintingOfTheDay = new PaintingOfTheDay(adapter, bot, catalog, subscriptionStore, lineAdapter ? { [LINE_CHANNEL_ID]: lineAdapter } : {});
 
 // Listen for incoming requests.
 server.post('/api/messages', (req, res) => {
@@ -81,6 +119,31 @@ server.post('/api/messages', (req, res) => {
     });
 });
 
+// Listen for LINE webhook events. The adapter checks their signature, so the body is left unparsed.
+if (lineAdapter) {
+    server.post('/api/line', (req, res) => {
+        lineAdapter.processWebhook(req, res, async (turnContext) => {
+            await bot.run(turnContext);
+        }).catch(err => console.error(`\n [LineAdapter] webhook failed: ${ err }`));
+    });
+} else {
+    console.log('\nLineChannelSecret or LineChannelAccessToken is not set, so the LINE channel is disabled.');
+}
+
+// Catalog management routes for curators, protected by the AdminApiKey setting.
+// The bot's catalog indexes are rebuilt after every change so matching sees it right away.
+registerAdminRoutes(server, catalog, {
+    apiKey: process.env.AdminApiKey,
+    onChange: () => bot.refreshCatalogIndexes().catch(err => console.error(`\n [adminPaintings] index refresh failed: ${ err }`))
+});
+
+// Serves the uploaded photos when they are kept in a local directory.
+registerUploadRoutes(server, uploadStorage);
+
+// Sends the painting of the day to the subscribers it is due for, protected by the NotifyApiKey setting.
+// Call it from a scheduler every few minutes.
+registerNotifyRoutes(server, paintingOfTheDay, { apiKey: process.env.NotifyApiKey });
+
 // SIG // Begin signature block
 // SIG // MIInNgYJKoZIhvcNAQcCoIInJzCCJyMCAQExDzANBglg
 // SIG // hkgBZQMEAgEFADB3BgorBgEEAYI3AgEEoGkwZzAyBgor
@@ -0,0 +1,127 @@
+const restify = require('restify');
+const { validatePainting } = require('../services/catalog/validation');
+const { requireApiKey } = require('./apiKey');
+
+const BASE_PATH = '/api/admin/paintings';
+
+/**
+ * Registers the painting catalog admin routes on the restify server:
+ *
+ *   GET    /api/admin/paintings[?q=text]          list, or search titles, authors and styles
+ *   GET    /api/admin/paintings/:paintid          get one painting
+ *   POST   /api/admin/paintings                   create a painting
+ *   PUT    /api/admin/paintings/:paintid          update the given fields of a painting
+ *   DELETE /api/admin/paintings/:paintid          delete a painting
+ *   POST   /api/admin/paintings/:paintid/tags     add tags, body `{ "tags": [...] }`
+ *   DELETE /api/admin/paintings/:paintid/tags/:tag remove a tag
+ *
+ * Every request must carry the admin key as `Authorization: Bearer <key>` or `X-Api-Key: <key>`.
+ * @param {Server} server restify server.
+ * @param {PaintingCatalog} catalog Catalog the routes manage.
+ * @param {Object} options
+ * @param {string} options.apiKey Admin key; the routes are not registered without one.
+ * @param {Function} [options.onChange] Called after every change to the catalog.
+ */
+function registerAdminRoutes(server, catalog, options) {
+    if (!options.apiKey) {
+        console.log('\nAdminApiKey is not set, so the painting admin routes are disabled.');
+        return;
+    }
+
+    const onChange = options.onChange || (() => {});
+    const authorize = requireApiKey(options.apiKey);
+    const parseBody = restify.plugins.bodyParser({ mapParams: false });
+    const parseQuery = restify.plugins.queryParser({ mapParams: false });
+
+    server.get(BASE_PATH, authorize, parseQuery, handle(async (req, res) => {
+        const query = req.query && req.query.q;
+        res.send(200, query ? await catalog.search(query) : await catalog.listPaintings());
+    }));
+
+    server.get(`${ BASE_PATH }/:paintid`, authorize, handle(async (req, res) => {
+        const painting = await findPainting(catalog, req, res);
+        if (painting) res.send(200, painting);
+    }));
+
+    server.post(BASE_PATH, authorize, parseBody, handle(async (req, res) => {
+        const painting = req.body;
+        if (painting && painting.paintid !== undefined && await catalog.getPainting(painting.paintid)) {
+            res.send(409, { message: `Painting ${ painting.paintid } already exists.` });
+            return;
+        }
+        await savePainting(catalog, painting, res, 201, onChange);
+    }));
+
+    server.put(`${ BASE_PATH }/:paintid`, authorize, parseBody, handle(async (req, res) => {
+        const painting = await findPainting(catalog, req, res);
+        if (painting) {
+            await savePainting(catalog, { ...painting, ...req.body, paintid: painting.paintid }, res, 200, onChange);
+        }
+    }));
+
+    server.del(`${ BASE_PATH }/:paintid`, authorize, handle(async (req, res) => {
+        if (await catalog.deletePainting(req.params.paintid)) {
+            await onChange();
+            res.send(204);
+        } else {
+            res.send(404, { message: `Painting ${ req.params.paintid } does not exist.` });
+        }
+    }));
+
+    server.post(`${ BASE_PATH }/:paintid/tags`, authorize, parseBody, handle(async (req, res) => {
+        const painting = await findPainting(catalog, req, res);
+        if (!painting) return;
+
+        const body = req.body || {};
+        const added = Array.isArray(body.tags) ? body.tags : [body.tag];
+        const tags = [...painting.tags];
+        for (const tag of added) {
+            if (!tags.includes(tag)) tags.push(tag);
+        }
+        await savePainting(catalog, { ...painting, tags }, res, 200, onChange);
+    }));
+
+    server.del(`${ BASE_PATH }/:paintid/tags/:tag`, authorize, handle(async (req, res) => {
+        const painting = await findPainting(catalog, req, res);
+        if (!painting) return;
+
+        if (!painting.tags.includes(req.params.tag)) {
+            res.send(404, { message: `Painting ${ painting.paintid } has no tag "${ req.params.tag }".` });
+            return;
+        }
+        const tags = painting.tags.filter(tag => tag !== req.params.tag);
+        await savePainting(catalog, { ...painting, tags }, res, 200, onChange);
+    }));
+}
+
+/**
+ * Wraps an async route handler for restify, which does not wait on promises.
+ */
+function handle(handler) {
+    return (req, res, next) => {
+        handler(req, res).then(() => next(), err => {
+            console.error(`[adminPaintings]: ${ req.method } ${ req.url } failed. ${ err }`);
+            res.send(500, { message: 'The catalog request failed.' });
+            next(false);
+        });
+    };
+}
+
+async function findPainting(catalog, req, res) {
+    const painting = await catalog.getPainting(req.params.paintid);
+    if (!painting) res.send(404, { message: `Painting ${ req.params.paintid } does not exist.` });
+    return painting;
+}
+
+async function savePainting(catalog, painting, res, status, onChange) {
+    const errors = validatePainting(painting);
+    if (errors.length > 0) {
+        res.send(400, { message: 'The painting is invalid.', errors });
+        return;
+    }
+    const saved = await catalog.savePainting(painting);
+    await onChange();
+    res.send(status, saved);
+}
+
+module.exports.registerAdminRoutes = registerAdminRoutes;
@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * Returns a restify handler rejecting requests that do not carry the API key, as
+ * `Authorization: Bearer <key>` or `X-Api-Key: <key>`.
+ * @param {string} apiKey
+ */
+function requireApiKey(apiKey) {
+    const expected = crypto.createHash('sha256').update(apiKey).digest();
+    return (req, res, next) => {
+        const authorization = req.header('Authorization') || '';
+        const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+        const presented = bearer ? bearer[1] : req.header('X-Api-Key');
+
+        // Compare digests so the comparison takes the same time whatever the presented key.
+        const digest = crypto.createHash('sha256').update(presented || '').digest();
+        if (!presented || !crypto.timingSafeEqual(digest, expected)) {
+            res.send(401, { message: 'A valid API key is required.' });
+            return next(false);
+        }
+        return next();
+    };
+}
+
+module.exports.requireApiKey = requireApiKey;
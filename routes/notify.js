@@ -0,0 +1,38 @@
+const restify = require('restify');
+const { requireApiKey } = require('./apiKey');
+
+const NOTIFY_PATH = '/api/notify';
+
+/**
+ * Registers `POST /api/notify`, which sends the painting of the day to the subscribers
+ * whose delivery time has come. A scheduler such as cron should call it every few minutes;
+ * subscribers get one painting a day however often it is called. A body of
+ * `{ "force": true }` sends it to every subscriber right away.
+ *
+ * Requests must carry the key as `Authorization: Bearer <key>` or `X-Api-Key: <key>`.
+ * @param {Server} server restify server.
+ * @param {PaintingOfTheDay} paintingOfTheDay
+ * @param {Object} options
+ * @param {string} options.apiKey Notify key; the route is not registered without one.
+ */
+function registerNotifyRoutes(server, paintingOfTheDay, options) {
+    if (!options.apiKey) {
+        console.log('\nNotifyApiKey is not set, so the painting of the day route is disabled.');
+        return;
+    }
+
+    const parseBody = restify.plugins.bodyParser({ mapParams: false });
+    server.post(NOTIFY_PATH, requireApiKey(options.apiKey), parseBody, (req, res, next) => {
+        const force = Boolean(req.body && req.body.force);
+        paintingOfTheDay.deliverDue(new Date(), { force }).then(result => {
+            res.send(200, result);
+            next();
+        }, err => {
+            console.error(`[notify]: sending the painting of the day failed. ${ err }`);
+            res.send(500, { message: 'Sending the painting of the day failed.' });
+            next(false);
+        });
+    });
+}
+
+module.exports.registerNotifyRoutes = registerNotifyRoutes;
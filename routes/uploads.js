@@ -0,0 +1,20 @@
+const restify = require('restify');
+const { LocalFileStorage, UPLOADS_ROUTE } = require('../services/storage');
+
+/**
+ * Serves the photos kept by a `LocalFileStorage` at `/uploads/<file>`, so the vision service
+ * and chat clients can download them. Other storages hand out their own URLs, and nothing
+ * is registered for them.
+ * @param {Server} server restify server.
+ * @param {UploadStorage} storage
+ */
+function registerUploadRoutes(server, storage) {
+    if (!(storage instanceof LocalFileStorage)) return;
+
+    server.get(`${ UPLOADS_ROUTE }/*`, restify.plugins.serveStatic({
+        directory: storage.directory,
+        appendRequestPath: false
+    }));
+}
+
+module.exports.registerUploadRoutes = registerUploadRoutes;
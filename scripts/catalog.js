@@ -0,0 +1,172 @@
+// Imports paintings into the painting catalog and exports them back out.
+//
+//   npm run catalog -- validate <file.csv|file.json>
+//   npm run catalog -- import <file.csv|file.json> [--overwrite] [--dry-run]
+//   npm run catalog -- export <file.csv|file.json>
+//   npm run catalog -- palettes [--all]
+//   npm run catalog -- hashes [--all]
+//
+// The catalog backend is chosen by the same .env settings as the bot (see README).
+
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { createCatalog } = require('../services/catalog');
+const { extractPalette } = require('../services/colorPalette');
+const { loadImage } = require('../services/imageLoader');
+const { perceptualHash } = require('../services/perceptualHash');
+const { parseCsv, parseJson, toCsv, toJson } = require('../services/catalog/catalogFormats');
+const { validatePaintings } = require('../services/catalog/validation');
+
+const USAGE = `Usage:
+  node scripts/catalog.js validate <file.csv|file.json>
+  node scripts/catalog.js import <file.csv|file.json> [--overwrite] [--dry-run]
+  node scripts/catalog.js export <file.csv|file.json>
+  node scripts/catalog.js palettes [--all]
+  node scripts/catalog.js hashes [--all]
+
+import   validates the file and saves its paintings to the catalog. Paintings whose
+         paintid is already in the catalog are rejected unless --overwrite is given.
+export   writes every painting in the catalog to the file.
+palettes downloads the image of every painting without a colour palette, or of every
+         painting with --all, and stores its dominant colours for matching.
+hashes   downloads the image of every painting without an image hash, or of every
+         painting with --all, and stores its perceptual hash so photos of the
+         painting itself are recognized.`;
+
+function isCsv(filePath) {
+    return path.extname(filePath).toLowerCase() === '.csv';
+}
+
+/**
+ * Reads and validates an import file. Returns the paintings and every problem found.
+ */
+function readImportFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const { paintings, errors } = isCsv(filePath) ? parseCsv(text) : parseJson(text);
+    return { paintings, errors: [...errors, ...validatePaintings(paintings)] };
+}
+
+function reportErrors(errors) {
+    for (const error of errors) console.error(`  ${ error }`);
+    console.error(`${ errors.length } problem(s) found.`);
+}
+
+async function validate(filePath) {
+    const { paintings, errors } = readImportFile(filePath);
+    if (errors.length > 0) {
+        reportErrors(errors);
+        return 1;
+    }
+    console.log(`${ paintings.length } painting(s) in ${ filePath } are valid.`);
+    return 0;
+}
+
+async function importFile(filePath, options) {
+    const { paintings, errors } = readImportFile(filePath);
+    const catalog = createCatalog();
+
+    if (!options.overwrite) {
+        const existing = new Set((await catalog.listPaintings()).map(painting => painting.paintid));
+        for (const painting of paintings) {
+            if (existing.has(String(painting.paintid))) {
+                errors.push(`painting "${ painting.paintid }": already in the catalog (use --overwrite to replace it)`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        reportErrors(errors);
+        console.error('Nothing was imported.');
+        return 1;
+    }
+
+    if (options.dryRun) {
+        console.log(`${ paintings.length } painting(s) would be imported.`);
+        return 0;
+    }
+
+    for (const painting of paintings) {
+        await catalog.savePainting(painting);
+        console.log(`Imported painting ${ painting.paintid } "${ painting.title }" with ${ painting.tags.length } tag(s).`);
+    }
+    console.log(`${ paintings.length } painting(s) imported.`);
+    return 0;
+}
+
+async function exportFile(filePath) {
+    const paintings = await createCatalog().listPaintings();
+    fs.writeFileSync(filePath, isCsv(filePath) ? toCsv(paintings) : toJson(paintings), 'utf8');
+    console.log(`${ paintings.length } painting(s) exported to ${ filePath }.`);
+    return 0;
+}
+
+/**
+ * Downloads the image of every painting missing `field`, or of every painting with --all,
+ * and saves the value `compute` derives from it. `describe` formats the value for the log.
+ */
+async function computeFromImages(field, compute, describe, options) {
+    const catalog = createCatalog();
+    const paintings = (await catalog.listPaintings()).filter(painting => options.all || !painting[field]);
+    let failures = 0;
+
+    for (const painting of paintings) {
+        const image = await loadImage(painting.url);
+        if (!image) {
+            console.error(`  painting "${ painting.paintid }": no ${ field }, its image could not be downloaded or decoded`);
+            failures++;
+            continue;
+        }
+        const value = compute(image);
+        await catalog.savePainting({ ...painting, [field]: value });
+        console.log(`Painting ${ painting.paintid } "${ painting.title }": ${ describe(value) }`);
+    }
+    console.log(`${ paintings.length - failures } painting(s) updated, ${ failures } failed.`);
+    return failures > 0 ? 1 : 0;
+}
+
+function computePalettes(options) {
+    return computeFromImages('palette', extractPalette, palette => palette.map(entry => entry.color).join(' '), options);
+}
+
+function computeHashes(options) {
+    return computeFromImages('phash', perceptualHash, hash => hash, options);
+}
+
+async function main(args) {
+    const flags = args.filter(arg => arg.startsWith('--'));
+    const [command, filePath] = args.filter(arg => !arg.startsWith('--'));
+    const options = { overwrite: flags.includes('--overwrite'), dryRun: flags.includes('--dry-run'), all: flags.includes('--all') };
+
+    if (command === 'palettes') {
+        return computePalettes(options);
+    }
+    if (command === 'hashes') {
+        return computeHashes(options);
+    }
+    if (!filePath) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    switch (command) {
+    case 'validate':
+        return validate(filePath);
+    case 'import':
+        return importFile(filePath, options);
+    case 'export':
+        return exportFile(filePath);
+    default:
+        console.error(USAGE);
+        return 1;
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(err => {
+        console.error(`[catalog]: ${ err.message }`);
+        process.exitCode = 1;
+    });
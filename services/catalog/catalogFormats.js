@@ -0,0 +1,185 @@
+const { paintingToRows } = require('./paintingCatalog');
+const { OPTIONAL_TEXT_FIELDS, REQUIRED_TEXT_FIELDS } = require('./validation');
+
+// Painting fields that are not text, with how they are written to CSV and read back:
+// `featured` as true or empty, `palette` as "#rrggbb:weight" entries separated by spaces.
+const CSV_VALUE_FIELDS = {
+    featured: {
+        write: value => value ? 'true' : '',
+        read: text => ['true', 'yes', '1'].includes(text.toLowerCase())
+    },
+    palette: {
+        write: palette => Array.isArray(palette) ? palette.map(entry => `${ entry.color }:${ entry.weight }`).join(' ') : '',
+        read: readPalette
+    },
+    phash: {
+        write: phash => phash || '',
+        read: text => text
+    }
+};
+
+// CSV files hold one row per painting tag, like the Cosmos container.
+const CSV_COLUMNS = [...REQUIRED_TEXT_FIELDS, ...OPTIONAL_TEXT_FIELDS, ...Object.keys(CSV_VALUE_FIELDS), 'tag'];
+// Columns a CSV file must have; the optional fields may be left out.
+const REQUIRED_CSV_COLUMNS = [...REQUIRED_TEXT_FIELDS, 'tag'];
+
+/**
+ * Parses catalog JSON: either `{ "paintings": [...] }` with a `tags` list per painting,
+ * or an array of rows with one `tag` each, as exported from Cosmos.
+ * @param {string} text
+ * @returns {{ paintings: Object[], errors: string[] }}
+ */
+function parseJson(text) {
+    const content = JSON.parse(text);
+    if (Array.isArray(content)) return foldRows(content);
+    if (content && Array.isArray(content.paintings)) return { paintings: content.paintings, errors: [] };
+    return { paintings: [], errors: ['JSON catalog must be an array of rows or an object with a "paintings" array'] };
+}
+
+/**
+ * Parses catalog CSV with a header row naming the columns.
+ * @param {string} text
+ * @returns {{ paintings: Object[], errors: string[] }}
+ */
+function parseCsv(text) {
+    const [header, ...records] = readCsvRecords(text.replace(/^\uFEFF/, '')).filter(record => record.some(field => field !== ''));
+    if (!header) return { paintings: [], errors: ['CSV file is empty'] };
+
+    const columns = header.map(column => column.trim());
+    const missing = REQUIRED_CSV_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) return { paintings: [], errors: [`CSV header is missing ${ missing.join(', ') }`] };
+
+    const rows = records.map(record => {
+        const row = {};
+        columns.forEach((column, i) => {
+            const text = (record[i] || '').trim();
+            if (!CSV_VALUE_FIELDS[column]) {
+                row[column] = text;
+            } else if (text !== '') {
+                row[column] = CSV_VALUE_FIELDS[column].read(text);
+            }
+        });
+        return row;
+    });
+    return foldRows(rows);
+}
+
+/**
+ * Folds rows into paintings. Rows of one paintid that disagree on the painting's
+ * details are reported rather than silently merged.
+ */
+function foldRows(rows) {
+    const paintings = new Map();
+    const errors = [];
+    rows.forEach((row, i) => {
+        if (!row || row.paintid === undefined || row.paintid === '') {
+            errors.push(`row ${ i + 1 }: paintid is required`);
+            return;
+        }
+        const paintid = String(row.paintid);
+        const painting = paintings.get(paintid);
+        if (!painting) {
+            const details = {};
+            REQUIRED_TEXT_FIELDS.forEach(field => { details[field] = row[field]; });
+            OPTIONAL_TEXT_FIELDS.filter(field => row[field]).forEach(field => { details[field] = row[field]; });
+            Object.keys(CSV_VALUE_FIELDS).filter(field => row[field] !== undefined).forEach(field => { details[field] = row[field]; });
+            paintings.set(paintid, { ...details, paintid, tags: row.tag ? [row.tag] : [] });
+            return;
+        }
+        const conflicts = [
+            ...REQUIRED_TEXT_FIELDS.filter(field => String(painting[field]) !== String(row[field])),
+            ...OPTIONAL_TEXT_FIELDS.filter(field => (painting[field] || '') !== (row[field] || '')),
+            ...Object.keys(CSV_VALUE_FIELDS).filter(field => JSON.stringify(painting[field]) !== JSON.stringify(row[field]))
+        ];
+        if (conflicts.length > 0) {
+            errors.push(`row ${ i + 1 }: painting "${ paintid }" is listed twice with different ${ conflicts.join(', ') }`);
+        } else if (row.tag && !painting.tags.includes(row.tag)) {
+            painting.tags.push(row.tag);
+        }
+    });
+    return { paintings: [...paintings.values()], errors };
+}
+
+/**
+ * Writes the paintings as catalog JSON.
+ * @param {Object[]} paintings
+ */
+function toJson(paintings) {
+    return JSON.stringify({ paintings }, null, 4) + '\n';
+}
+
+/**
+ * Writes the paintings as CSV, one row per tag.
+ * @param {Object[]} paintings
+ */
+function toCsv(paintings) {
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const painting of paintings) {
+        for (const row of paintingToRows(painting)) {
+            lines.push(CSV_COLUMNS.map(column => csvField(CSV_VALUE_FIELDS[column] ? CSV_VALUE_FIELDS[column].write(row[column]) : row[column])).join(','));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Reads a palette written as "#rrggbb:weight" entries. Text in another form is returned
+ * as it is, for validation to report.
+ */
+function readPalette(text) {
+    const entries = text.split(/\s+/).map(entry => /^(#[0-9a-f]{6}):([0-9.]+)$/i.exec(entry));
+    if (entries.some(match => !match)) return text;
+    return entries.map(match => ({ color: match[1], weight: Number(match[2]) }));
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${ text.replace(/"/g, '""') }"` : text;
+}
+
+/**
+ * Splits CSV text into records of fields, following RFC 4180 quoting.
+ */
+function readCsvRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records;
+}
+
+module.exports.parseCsv = parseCsv;
+module.exports.parseJson = parseJson;
+module.exports.toCsv = toCsv;
+module.exports.toJson = toJson;
@@ -0,0 +1,136 @@
+const { CosmosClient } = require('@azure/cosmos');
+const uuid = require('uuid');
+const { PaintingCatalog, paintingToRows, rowsToPaintings } = require('./paintingCatalog');
+
+/**
+ * Painting catalog stored in the Cosmos `PaintingDB/paintings` container, where every
+ * document is one (paintid, tag) row carrying the painting's details.
+ */
+class CosmosCatalog extends PaintingCatalog {
+    /**
+     * @param {Container} container Cosmos container holding the painting rows.
+     */
+    constructor(container) {
+        super();
+        if (!container) throw new Error('[CosmosCatalog]: Missing parameter. container is required');
+        this.container = container;
+        this.partitionKeyPath = undefined;
+    }
+
+    /**
+     * Creates the catalog from the `CosmosDbEndpoint` and `CosmosDbAuthKey` settings.
+     */
+    static fromEnvironment() {
+        const cosmosClient = new CosmosClient({
+            endpoint: process.env.CosmosDbEndpoint,
+            key: process.env.CosmosDbAuthKey
+        });
+        return new CosmosCatalog(cosmosClient.database('PaintingDB').container('paintings'));
+    }
+
+    async query(querySpec) {
+        const { resources } = await this.container.items.query(querySpec).fetchAll();
+        return resources;
+    }
+
+    async listPaintings() {
+        return rowsToPaintings(await this.query('SELECT * FROM c'));
+    }
+
+    async getPainting(paintid) {
+        const rows = await this.query({
+            query: 'SELECT * FROM c WHERE c.paintid = @n',
+            parameters: [{ name: '@n', value: String(paintid) }]
+        });
+        return rowsToPaintings(rows)[0];
+    }
+
+    /**
+     * Writes the painting's rows, then deletes the rows it no longer has. A failure part way
+     * never loses the painting or its tags: at worst a dropped tag's row is left until the
+     * next save. A tag's row keeps its document id, so it is replaced in place.
+     */
+    async savePainting(painting) {
+        const saved = { ...painting, paintid: String(painting.paintid) };
+        const existing = await this.findRows(saved.paintid);
+        const partitionKeyPath = await this.getPartitionKeyPath();
+        const rowKey = row => `${ row.id }|${ partitionKeyPath ? row[partitionKeyPath] : '' }`;
+
+        const written = new Set();
+        for (const row of paintingToRows(saved)) {
+            const previous = existing.find(old => old.tag === row.tag);
+            const document = { ...row, id: previous ? previous.id : uuid.v4() };
+            await this.container.items.upsert(document);
+            written.add(rowKey(document));
+        }
+        await this.deleteRows(existing.filter(row => !written.has(rowKey(row))));
+        return saved;
+    }
+
+    async deletePainting(paintid) {
+        const rows = await this.findRows(String(paintid));
+        await this.deleteRows(rows);
+        return rows.length > 0;
+    }
+
+    async findRows(paintid) {
+        return this.query({
+            query: 'SELECT * FROM c WHERE c.paintid = @n',
+            parameters: [{ name: '@n', value: paintid }]
+        });
+    }
+
+    async deleteRows(rows) {
+        const partitionKeyPath = await this.getPartitionKeyPath();
+        for (const row of rows) {
+            const partitionKey = partitionKeyPath ? row[partitionKeyPath] : undefined;
+            await this.container.item(row.id, partitionKey).delete();
+        }
+    }
+
+    /**
+     * Returns the top-level property the container is partitioned on, if any.
+     */
+    async getPartitionKeyPath() {
+        if (this.partitionKeyPath === undefined) {
+            const { resource: definition } = await this.container.read();
+            const paths = (definition.partitionKey && definition.partitionKey.paths) || [];
+            this.partitionKeyPath = paths.length > 0 ? paths[0].replace(/^\//, '') : '';
+        }
+        return this.partitionKeyPath;
+    }
+
+    async listTagRows() {
+        return this.query('SELECT c.paintid, c.tag FROM c');
+    }
+
+    async candidatesForTags(tagNames) {
+        const candidates = new Map();
+        if (tagNames.length === 0) return candidates;
+
+        const rows = await this.query({
+            query: 'SELECT c.paintid, c.tag FROM c WHERE ARRAY_CONTAINS(@tags, c.tag)',
+            parameters: [{ name: '@tags', value: tagNames }]
+        });
+        for (const row of rows) {
+            const ids = candidates.get(row.tag) || [];
+            if (!ids.includes(row.paintid)) ids.push(row.paintid);
+            candidates.set(row.tag, ids);
+        }
+        return candidates;
+    }
+
+    async search(text) {
+        const needle = text.trim();
+        if (!needle) return [];
+        const rows = await this.query({
+            query: 'SELECT * FROM c WHERE CONTAINS(c.title, @text, true) OR CONTAINS(c.author, @text, true) OR CONTAINS(c.style, @text, true)',
+            parameters: [{ name: '@text', value: needle }]
+        });
+        // The matching rows only carry the tags that happened to match, so reload each painting whole.
+        const ids = rowsToPaintings(rows).map(painting => painting.paintid);
+        return Promise.all(ids.map(paintid => this.getPainting(paintid)));
+    }
+}
+
+module.exports.CosmosCatalog = CosmosCatalog;
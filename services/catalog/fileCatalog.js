@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { PaintingCatalog } = require('./paintingCatalog');
+
+/**
+ * Painting catalog read from a local JSON file of the form `{ "paintings": [...] }`,
+ * for developing and demoing the bot without a Cosmos account. The file is read again
+ * when it changes, so edits made by hand or by `scripts/catalog.js` reach a running bot
+ * at the next index refresh.
+ */
+class FileCatalog extends PaintingCatalog {
+    /**
+     * @param {string} filePath Path of the JSON catalog file.
+     */
+    constructor(filePath) {
+        super();
+        if (!filePath) throw new Error('[FileCatalog]: Missing parameter. filePath is required');
+        this.filePath = filePath;
+        this.paintings = undefined;
+        // Modification time of the file when it was read.
+        this.loadedMtime = undefined;
+        // Last queued change; changes wait for each other so only one writes at a time.
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        const mtime = await modificationTime(this.filePath);
+        if (!this.paintings || mtime !== this.loadedMtime) {
+            const content = await readCatalogFile(this.filePath);
+            this.paintings = (content.paintings || []).map(painting => ({
+                ...painting,
+                paintid: String(painting.paintid),
+                tags: painting.tags || []
+            }));
+            this.loadedMtime = mtime;
+        }
+        return this.paintings;
+    }
+
+    async listPaintings() {
+        return this.load();
+    }
+
+    async getPainting(paintid) {
+        return (await this.load()).find(painting => painting.paintid === String(paintid));
+    }
+
+    async savePainting(painting) {
+        const saved = { ...painting, paintid: String(painting.paintid) };
+        await this.change(paintings => {
+            const index = paintings.findIndex(existing => existing.paintid === saved.paintid);
+            if (index >= 0) {
+                paintings[index] = saved;
+            } else {
+                paintings.push(saved);
+            }
+            return true;
+        });
+        return saved;
+    }
+
+    async deletePainting(paintid) {
+        return this.change(paintings => {
+            const index = paintings.findIndex(existing => existing.paintid === String(paintid));
+            if (index < 0) return false;
+            paintings.splice(index, 1);
+            return true;
+        });
+    }
+
+    /**
+     * Queues a change to the catalog. `apply` edits a copy of the paintings and returns
+     * whether it changed anything; the copy is then written and, once the file is in
+     * place, becomes the cached catalog.
+     * @param {Function} apply
+     * @returns {Promise<boolean>} Whether the catalog changed.
+     */
+    change(apply) {
+        const changed = this.writing.then(async () => {
+            const paintings = [...await this.load()];
+            if (!apply(paintings)) return false;
+            await this.write(paintings);
+            return true;
+        });
+        this.writing = changed.catch(() => undefined);
+        return changed;
+    }
+
+    /**
+     * Writes the catalog through a temporary file so a crash never leaves it half written,
+     * and caches it once the rename succeeded. Called through `change()` only.
+     */
+    async write(paintings) {
+        const tempPath = `${ this.filePath }.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify({ paintings }, null, 4) + '\n', 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+        this.paintings = paintings;
+        this.loadedMtime = await modificationTime(this.filePath);
+    }
+}
+
+/**
+ * Reads the catalog file; a file that does not exist yet is an empty catalog.
+ */
+async function readCatalogFile(filePath) {
+    try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return { paintings: [] };
+        throw err;
+    }
+}
+
+/**
+ * Returns the file's modification time in milliseconds, or 0 when it does not exist yet.
+ */
+async function modificationTime(filePath) {
+    try {
+        return (await fs.promises.stat(filePath)).mtimeMs;
+    } catch (err) {
+        if (err.code === 'ENOENT') return 0;
+        throw err;
+    }
+}
+
+module.exports.FileCatalog = FileCatalog;
@@ -0,0 +1,28 @@
+const path = require('path');
+const { CosmosCatalog } = require('./cosmosCatalog');
+const { FileCatalog } = require('./fileCatalog');
+const { PaintingCatalog } = require('./paintingCatalog');
+
+const DEFAULT_CATALOG_FILE = path.join(__dirname, '..', '..', 'data', 'catalog.json');
+
+/**
+ * Creates the painting catalog selected by the `PaintingCatalog` setting: `cosmos`, or `file`
+ * to read `PaintingCatalogFile` (data/catalog.json by default). Without the setting the
+ * Cosmos catalog is used when `CosmosDbEndpoint` is configured.
+ */
+function createCatalog() {
+    const backend = process.env.PaintingCatalog || (process.env.CosmosDbEndpoint ? 'cosmos' : 'file');
+    switch (backend) {
+    case 'cosmos':
+        return CosmosCatalog.fromEnvironment();
+    case 'file':
+        return new FileCatalog(process.env.PaintingCatalogFile || DEFAULT_CATALOG_FILE);
+    default:
+        throw new Error(`[createCatalog]: Unknown PaintingCatalog "${ backend }". Use "cosmos" or "file".`);
+    }
+}
+
+module.exports.createCatalog = createCatalog;
+module.exports.CosmosCatalog = CosmosCatalog;
+module.exports.FileCatalog = FileCatalog;
+module.exports.PaintingCatalog = PaintingCatalog;
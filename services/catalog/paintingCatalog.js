@@ -0,0 +1,148 @@
+const { matchTitle, MIN_TITLE_SIMILARITY } = require('../titleMatcher');
+
+/**
+ * Base class of the painting catalog backends.
+ *
+ * A painting is `{ paintid, title, author, year, style, technique, url, tags }`, where
+ * `tags` is the list of tag names used for matching. Paintings may also have a `medium`,
+ * `dimensions`, a `location` and a `description`. Backends implement `listPaintings()`
+ * and `getPainting()`; the other lookups have defaults built on top of them.
+ */
+class PaintingCatalog {
+    /**
+     * Returns every painting in the catalog.
+     * @returns {Promise<Object[]>}
+     */
+    async listPaintings() {
+        throw new Error(`[${ this.constructor.name }]: listPaintings is not implemented`);
+    }
+
+    /**
+     * Returns the painting with the given id, or undefined.
+     * @param {string} paintid
+     * @returns {Promise<Object|undefined>}
+     */
+    async getPainting(paintid) {
+        throw new Error(`[${ this.constructor.name }]: getPainting is not implemented`);
+    }
+
+    /**
+     * Adds the painting, or replaces the one with the same id.
+     * @param {Object} painting
+     * @returns {Promise<Object>} The saved painting.
+     */
+    async savePainting(painting) {
+        throw new Error(`[${ this.constructor.name }]: savePainting is not implemented`);
+    }
+
+    /**
+     * Removes the painting with the given id. Returns false when there was none.
+     * @param {string} paintid
+     * @returns {Promise<boolean>}
+     */
+    async deletePainting(paintid) {
+        throw new Error(`[${ this.constructor.name }]: deletePainting is not implemented`);
+    }
+
+    /**
+     * Returns one `{ paintid, tag }` row per tag of every painting.
+     * @returns {Promise<Object[]>}
+     */
+    async listTagRows() {
+        const rows = [];
+        for (const painting of await this.listPaintings()) {
+            for (const tag of painting.tags) {
+                rows.push({ paintid: painting.paintid, tag });
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Returns the ids of the paintings carrying each of the given tags.
+     * @param {string[]} tagNames
+     * @returns {Promise<Map<string, string[]>>} tag name -> painting ids
+     */
+    async candidatesForTags(tagNames) {
+        const wanted = new Set(tagNames);
+        const candidates = new Map();
+        for (const row of await this.listTagRows()) {
+            if (!wanted.has(row.tag)) continue;
+            const ids = candidates.get(row.tag) || [];
+            if (!ids.includes(row.paintid)) ids.push(row.paintid);
+            candidates.set(row.tag, ids);
+        }
+        return candidates;
+    }
+
+    /**
+     * Returns the paintings flagged `featured`, or every painting when none is.
+     * @returns {Promise<Object[]>}
+     */
+    async listFeatured() {
+        const paintings = await this.listPaintings();
+        const featured = paintings.filter(painting => painting.featured);
+        return featured.length > 0 ? featured : paintings;
+    }
+
+    /**
+     * Returns the painting whose title best matches the one given, allowing for typos and
+     * shortened titles, with the similarity of the titles from 0 to 1.
+     * @param {string} title
+     * @param {number} [minSimilarity]
+     * @returns {Promise<{ painting: Object, similarity: number }|undefined>}
+     */
+    async findByTitle(title, minSimilarity = MIN_TITLE_SIMILARITY) {
+        return matchTitle(title, await this.listPaintings(), minSimilarity);
+    }
+
+    /**
+     * Returns the paintings whose title, author or style contains the text, ignoring case.
+     * @param {string} text
+     * @returns {Promise<Object[]>}
+     */
+    async search(text) {
+        const needle = text.trim().toLowerCase();
+        if (!needle) return [];
+        return (await this.listPaintings()).filter(painting =>
+            [painting.title, painting.author, painting.style]
+                .some(field => field && String(field).toLowerCase().includes(needle)));
+    }
+}
+
+/**
+ * Folds catalog rows (one per painting tag) into paintings with a `tags` list,
+ * keeping the order in which the paintings first appear. Cosmos document fields
+ * (`id` and the `_`-prefixed system properties) are left out.
+ * @param {Object[]} rows
+ * @returns {Object[]}
+ */
+function rowsToPaintings(rows) {
+    const paintings = new Map();
+    for (const row of rows) {
+        let painting = paintings.get(row.paintid);
+        if (!painting) {
+            painting = { tags: [] };
+            for (const [field, value] of Object.entries(row)) {
+                if (field !== 'tag' && field !== 'id' && !field.startsWith('_')) painting[field] = value;
+            }
+            paintings.set(row.paintid, painting);
+        }
+        if (row.tag && !painting.tags.includes(row.tag)) painting.tags.push(row.tag);
+    }
+    return [...paintings.values()];
+}
+
+/**
+ * Splits a painting into catalog rows, one per tag.
+ * @param {Object} painting
+ * @returns {Object[]}
+ */
+function paintingToRows(painting) {
+    const { tags, ...details } = painting;
+    return tags.map(tag => ({ ...details, tag }));
+}
+
+module.exports.PaintingCatalog = PaintingCatalog;
+module.exports.paintingToRows = paintingToRows;
+module.exports.rowsToPaintings = rowsToPaintings;
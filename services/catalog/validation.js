@@ -0,0 +1,90 @@
+// Text fields every painting needs for the bot's replies.
+const REQUIRED_TEXT_FIELDS = ['paintid', 'title', 'author', 'year', 'style', 'technique', 'url'];
+
+// Text fields the bot answers questions about when a painting has them: the materials and
+// support, the size, the museum or collection holding it, and a short description.
+const OPTIONAL_TEXT_FIELDS = ['medium', 'dimensions', 'location', 'description'];
+
+/**
+ * Checks one painting for the fields the bot reads. Returns the problems found, if any.
+ * @param {Object} painting
+ * @returns {string[]}
+ */
+function validatePainting(painting) {
+    if (!painting || typeof painting !== 'object') return ['painting must be an object'];
+
+    const label = painting.paintid ? `painting "${ painting.paintid }"` : 'painting without paintid';
+    const errors = [];
+
+    for (const field of REQUIRED_TEXT_FIELDS) {
+        const value = painting[field];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            errors.push(`${ label }: ${ field } is required`);
+        } else if (typeof value !== 'string' && !(field === 'year' && typeof value === 'number')) {
+            errors.push(`${ label }: ${ field } must be text`);
+        }
+    }
+
+    for (const field of OPTIONAL_TEXT_FIELDS) {
+        if (painting[field] !== undefined && painting[field] !== null && typeof painting[field] !== 'string') {
+            errors.push(`${ label }: ${ field } must be text`);
+        }
+    }
+
+    if (typeof painting.url === 'string' && painting.url.trim() !== '' && !isHttpsUrl(painting.url)) {
+        errors.push(`${ label }: url must be an HTTPS URL, got "${ painting.url }"`);
+    }
+
+    if (!Array.isArray(painting.tags) || painting.tags.length === 0) {
+        errors.push(`${ label }: at least one tag is required`);
+    } else if (painting.tags.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+        errors.push(`${ label }: tags must be non-empty text`);
+    }
+
+    if (painting.palette !== undefined && !isPalette(painting.palette)) {
+        errors.push(`${ label }: palette must be a list of { color: "#rrggbb", weight } entries`);
+    }
+
+    if (painting.phash !== undefined && !/^[0-9a-f]{16}$/i.test(painting.phash)) {
+        errors.push(`${ label }: phash must be 16 hexadecimal digits`);
+    }
+
+    return errors;
+}
+
+/**
+ * Checks a list of paintings, including that no two share a paintid.
+ * @param {Object[]} paintings
+ * @returns {string[]}
+ */
+function validatePaintings(paintings) {
+    const errors = [];
+    const seen = new Set();
+    for (const painting of paintings) {
+        errors.push(...validatePainting(painting));
+        if (painting && painting.paintid !== undefined) {
+            const paintid = String(painting.paintid);
+            if (seen.has(paintid)) errors.push(`painting "${ paintid }": duplicate paintid`);
+            seen.add(paintid);
+        }
+    }
+    return errors;
+}
+
+function isPalette(palette) {
+    return Array.isArray(palette) && palette.every(entry =>
+        entry && /^#[0-9a-f]{6}$/i.test(entry.color) && typeof entry.weight === 'number' && entry.weight >= 0 && entry.weight <= 1);
+}
+
+function isHttpsUrl(text) {
+    try {
+        return new URL(text).protocol === 'https:';
+    } catch (err) {
+        return false;
+    }
+}
+
+module.exports.OPTIONAL_TEXT_FIELDS = OPTIONAL_TEXT_FIELDS;
+module.exports.REQUIRED_TEXT_FIELDS = REQUIRED_TEXT_FIELDS;
+module.exports.validatePainting = validatePainting;
+module.exports.validatePaintings = validatePaintings;
@@ -0,0 +1,196 @@
+// Number of dominant colours kept per image.
+const PALETTE_SIZE = 5;
+
+// Pixels sampled per side of the image; larger images are sampled on a grid.
+const SAMPLE_GRID = 64;
+
+const KMEANS_ITERATIONS = 10;
+
+// CIE76 colour difference at which two colours count as completely different.
+const MAX_COLOR_DISTANCE = 50;
+
+/**
+ * Extracts the dominant colours of an image by k-means clustering its pixels in Lab space.
+ * The result is deterministic for a given image.
+ * @param {{ width: number, height: number, data: Buffer }} image RGBA pixels.
+ * @param {number} [size] Number of colours to keep.
+ * @returns {Object[]} `{ color: '#rrggbb', weight }` entries, heaviest first, with weights summing to 1.
+ */
+function extractPalette(image, size = PALETTE_SIZE) {
+    const samples = samplePixels(image);
+    if (samples.length === 0) return [];
+
+    let centers = initialCenters(samples, Math.min(size, samples.length));
+    let assignments = [];
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        assignments = samples.map(sample => nearest(sample, centers));
+        centers = centers.map((center, i) => {
+            const members = samples.filter((sample, j) => assignments[j] === i);
+            return members.length > 0 ? mean(members) : center;
+        });
+    }
+
+    const counts = centers.map((center, i) => assignments.filter(assignment => assignment === i).length);
+    return centers
+        .map((center, i) => ({ color: labToHex(center), weight: counts[i] / samples.length }))
+        .filter(entry => entry.weight > 0)
+        .sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Returns how alike two palettes are, from 0 (nothing in common) to 1 (same colours).
+ * Every colour is compared with the closest colour of the other palette, weighted by
+ * how much of its image it covers, in both directions.
+ * @param {Object[]} a
+ * @param {Object[]} b
+ * @returns {number}
+ */
+function paletteSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || b.length === 0) return 0;
+    const labA = a.map(entry => ({ lab: hexToLab(entry.color), weight: entry.weight }));
+    const labB = b.map(entry => ({ lab: hexToLab(entry.color), weight: entry.weight }));
+    const distance = (directedDistance(labA, labB) + directedDistance(labB, labA)) / 2;
+    return Math.max(0, 1 - distance / MAX_COLOR_DISTANCE);
+}
+
+/**
+ * Combines the palettes of several photos of one scene into one palette in which every
+ * photo counts equally.
+ * @param {Object[][]} palettes
+ * @returns {Object[]} `{ color, weight }` entries, heaviest first, with weights summing to 1.
+ */
+function mergePalettes(palettes) {
+    const nonEmpty = palettes.filter(palette => palette && palette.length > 0);
+    const merged = [];
+    for (const palette of nonEmpty) {
+        const total = palette.reduce((sum, entry) => sum + entry.weight, 0) || 1;
+        for (const entry of palette) {
+            merged.push({ color: entry.color, weight: entry.weight / total / nonEmpty.length });
+        }
+    }
+    return merged.sort((a, b) => b.weight - a.weight);
+}
+
+function directedDistance(from, to) {
+    const total = from.reduce((sum, entry) => sum + entry.weight, 0) || 1;
+    let distance = 0;
+    for (const entry of from) {
+        const closest = Math.min(...to.map(other => labDistance(entry.lab, other.lab)));
+        distance += entry.weight * closest;
+    }
+    return distance / total;
+}
+
+/**
+ * Samples opaque pixels on a grid of at most SAMPLE_GRID x SAMPLE_GRID and converts them to Lab.
+ */
+function samplePixels(image) {
+    const stepX = Math.max(1, Math.floor(image.width / SAMPLE_GRID));
+    const stepY = Math.max(1, Math.floor(image.height / SAMPLE_GRID));
+    const samples = [];
+    for (let y = 0; y < image.height; y += stepY) {
+        for (let x = 0; x < image.width; x += stepX) {
+            const offset = (y * image.width + x) * 4;
+            if (image.data[offset + 3] < 128) continue;
+            samples.push(rgbToLab([image.data[offset], image.data[offset + 1], image.data[offset + 2]]));
+        }
+    }
+    return samples;
+}
+
+/**
+ * Picks spread-out starting centers: the sample closest to the mean, then repeatedly
+ * the sample farthest from the centers chosen so far.
+ */
+function initialCenters(samples, count) {
+    const centroid = mean(samples);
+    const centers = [samples[nearest(centroid, samples)]];
+    while (centers.length < count) {
+        let farthest = 0;
+        let farthestDistance = -1;
+        samples.forEach((sample, i) => {
+            const distance = Math.min(...centers.map(center => labDistance(sample, center)));
+            if (distance > farthestDistance) {
+                farthest = i;
+                farthestDistance = distance;
+            }
+        });
+        if (farthestDistance === 0) break;
+        centers.push(samples[farthest]);
+    }
+    return centers;
+}
+
+function nearest(point, candidates) {
+    let best = 0;
+    let bestDistance = Infinity;
+    candidates.forEach((candidate, i) => {
+        const distance = labDistance(point, candidate);
+        if (distance < bestDistance) {
+            best = i;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+function mean(points) {
+    const sum = [0, 0, 0];
+    for (const point of points) {
+        sum[0] += point[0];
+        sum[1] += point[1];
+        sum[2] += point[2];
+    }
+    return sum.map(value => value / points.length);
+}
+
+function labDistance(a, b) {
+    return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+}
+
+// sRGB <-> CIE Lab with the D65 white point.
+const WHITE = [0.95047, 1, 1.08883];
+
+function rgbToLab(rgb) {
+    const [r, g, b] = rgb.map(channel => {
+        const value = channel / 255;
+        return value > 0.04045 ? ((value + 0.055) / 1.055) ** 2.4 : value / 12.92;
+    });
+    const xyz = [
+        (r * 0.4124 + g * 0.3576 + b * 0.1805) / WHITE[0],
+        (r * 0.2126 + g * 0.7152 + b * 0.0722) / WHITE[1],
+        (r * 0.0193 + g * 0.1192 + b * 0.9505) / WHITE[2]
+    ].map(value => value > 0.008856 ? Math.cbrt(value) : 7.787 * value + 16 / 116);
+    return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+}
+
+function labToRgb(lab) {
+    const y = (lab[0] + 16) / 116;
+    const x = lab[1] / 500 + y;
+    const z = y - lab[2] / 200;
+    const [X, Y, Z] = [x, y, z].map((value, i) => {
+        const cube = value ** 3;
+        return (cube > 0.008856 ? cube : (value - 16 / 116) / 7.787) * WHITE[i];
+    });
+    return [
+        X * 3.2406 + Y * -1.5372 + Z * -0.4986,
+        X * -0.9689 + Y * 1.8758 + Z * 0.0415,
+        X * 0.0557 + Y * -0.2040 + Z * 1.0570
+    ].map(value => {
+        const channel = value > 0.0031308 ? 1.055 * value ** (1 / 2.4) - 0.055 : 12.92 * value;
+        return Math.round(Math.min(Math.max(channel, 0), 1) * 255);
+    });
+}
+
+function labToHex(lab) {
+    return '#' + labToRgb(lab).map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToLab(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return rgbToLab([(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF]);
+}
+
+module.exports.extractPalette = extractPalette;
+module.exports.mergePalettes = mergePalettes;
+module.exports.paletteSimilarity = paletteSimilarity;
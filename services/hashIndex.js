@@ -0,0 +1,51 @@
+const { RefreshingIndex } = require('./refreshingIndex');
+const { hammingDistance } = require('./perceptualHash');
+
+/**
+ * In-memory map from painting id to the perceptual hash of the painting's image,
+ * used to recognize photos of the catalog paintings themselves.
+ */
+class HashIndex extends RefreshingIndex {
+    /**
+     * @param {Function} loadPaintings Async function returning the catalog paintings.
+     * @param {number} refreshInterval Milliseconds between rebuilds; 0 disables the timer.
+     */
+    constructor(loadPaintings, refreshInterval = 0) {
+        super(refreshInterval);
+        if (!loadPaintings) throw new Error('[HashIndex]: Missing parameter. loadPaintings is required');
+        this.loadPaintings = loadPaintings;
+        this.hashes = new Map();
+    }
+
+    async build() {
+        const hashes = new Map();
+        for (const painting of await this.loadPaintings()) {
+            if (painting.phash) hashes.set(painting.paintid, painting.phash);
+        }
+        this.hashes = hashes;
+        console.log(`[HashIndex]: indexed the image hashes of ${ hashes.size } paintings.`);
+    }
+
+    /**
+     * Returns the painting whose image hash is closest to the given hash, if any is
+     * within `maxDistance` bits. Equal distances go to the lowest painting id.
+     * @param {string} hash
+     * @param {number} maxDistance
+     * @returns {Promise<{ paintid: string, distance: number }|undefined>}
+     */
+    async nearest(hash, maxDistance) {
+        await this.ensureBuilt();
+        let best;
+        for (const [paintid, paintingHash] of this.hashes) {
+            const distance = hammingDistance(hash, paintingHash);
+            if (distance > maxDistance) continue;
+            if (!best || distance < best.distance ||
+                (distance === best.distance && paintid.localeCompare(best.paintid, 'en', { numeric: true }) < 0)) {
+                best = { paintid, distance };
+            }
+        }
+        return best;
+    }
+}
+
+module.exports.HashIndex = HashIndex;
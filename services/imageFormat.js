@@ -0,0 +1,285 @@
+const path = require('path');
+const heicConvert = require('heic-convert');
+const jpeg = require('jpeg-js');
+const webp = require('@cwasm/webp');
+
+// Largest image accepted from users; Computer Vision itself refuses images over 4 MB.
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// Largest image decoded, width times height. A small file can hold a huge image, and
+// decoding takes 4 bytes a pixel: 200 MB for 50 megapixels.
+const MAX_IMAGE_PIXELS = 50 * 1000 * 1000;
+
+// Quality of the JPEGs WebP and HEIC photos are converted to, from 0 to 1.
+const JPEG_QUALITY = 0.9;
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/heic': '.heic'
+};
+
+// HEIF brands of HEIC photos, such as those taken by iPhones.
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Error thrown when a file or link is not an image the bot accepts. `reason` is one of the
+ * `ImageError` constants below; the bot words its reply to the user after it.
+ */
+class ImageError extends Error {
+    /**
+     * @param {string} reason
+     * @param {string} message
+     * @param {Error} [cause] Underlying error, if any.
+     */
+    constructor(reason, message, cause) {
+        super(message);
+        this.name = 'ImageError';
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+ImageError.notAnImage = 'notAnImage';
+ImageError.tooLarge = 'tooLarge';
+// The image is over `MAX_IMAGE_PIXELS`, whatever the size of its file.
+ImageError.tooManyPixels = 'tooManyPixels';
+ImageError.unreadable = 'unreadable';
+// Links only: the link points at a private, loopback or link-local address.
+ImageError.blockedAddress = 'blockedAddress';
+// Links only: the link redirects more times than allowed.
+ImageError.tooManyRedirects = 'tooManyRedirects';
+// Links only: the link could not be downloaded.
+ImageError.unreachable = 'unreachable';
+
+/**
+ * Detects the type of an image from its first bytes, whatever its name or declared content type.
+ * @param {Buffer} buffer
+ * @returns {string|undefined} `image/jpeg`, `image/png`, `image/gif`, `image/webp` or `image/heic`;
+ * undefined for anything else.
+ */
+function detectImageType(buffer) {
+    if (!buffer || buffer.length < 12) return undefined;
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+    if (buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A) return 'image/png';
+    const header = buffer.toString('latin1', 0, 12);
+    if (header.startsWith('GIF87a') || header.startsWith('GIF89a')) return 'image/gif';
+    if (header.startsWith('RIFF') && header.slice(8) === 'WEBP') return 'image/webp';
+    if (header.slice(4, 8) === 'ftyp' && HEIC_BRANDS.includes(header.slice(8))) return 'image/heic';
+    return undefined;
+}
+
+/**
+ * Reads the width and height of an image from its header, without decoding it.
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number }|undefined} Undefined when the header cannot be read.
+ */
+function imageDimensions(buffer) {
+    switch (detectImageType(buffer)) {
+    case 'image/jpeg':
+        return jpegDimensions(buffer);
+    case 'image/png':
+        // The IHDR chunk comes first, right after the signature.
+        if (buffer.length < 24) return undefined;
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    case 'image/gif':
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    case 'image/webp':
+        return webpDimensions(buffer);
+    case 'image/heic':
+        return heicDimensions(buffer);
+    default:
+        return undefined;
+    }
+}
+
+/**
+ * Checks an image is small enough to decode, from the dimensions in its header.
+ * @param {Buffer} buffer
+ * @param {number} [maxPixels] Largest accepted width times height.
+ * @returns {{ width: number, height: number }}
+ * @throws {ImageError} When the image is over `maxPixels` or its header cannot be read.
+ */
+function checkImageDimensions(buffer, maxPixels = MAX_IMAGE_PIXELS) {
+    const dimensions = imageDimensions(buffer);
+    if (!dimensions) {
+        throw new ImageError(ImageError.unreadable, 'Could not read the dimensions of the image');
+    }
+    const { width, height } = dimensions;
+    if (width * height > maxPixels) {
+        throw new ImageError(ImageError.tooManyPixels, `Image of ${ width }x${ height } pixels is over the ${ maxPixels } pixel limit`);
+    }
+    return dimensions;
+}
+
+/**
+ * Returns the file extension, with its dot, for an image content type.
+ * @param {string} contentType
+ * @returns {string}
+ */
+function extensionOf(contentType) {
+    return EXTENSIONS[contentType] || '.jpg';
+}
+
+/**
+ * Guesses the content type of an image from the extension of its URL, for images the
+ * bot sends without downloading them. JPEG is assumed when the extension says nothing.
+ * @param {string} imageUrl
+ * @returns {string}
+ */
+function contentTypeOfUrl(imageUrl) {
+    let extension;
+    try {
+        extension = path.extname(new URL(imageUrl).pathname).toLowerCase();
+    } catch (err) {
+        extension = '';
+    }
+    if (extension === '.jpeg') return 'image/jpeg';
+    const contentType = Object.keys(EXTENSIONS).find(type => EXTENSIONS[type] === extension);
+    return contentType || 'image/jpeg';
+}
+
+/**
+ * Checks an uploaded file and readies it for storage and the vision service. JPEG, PNG
+ * and GIF images are kept as they are; WebP and HEIC images, which Computer Vision does
+ * not read, are converted to JPEG, unless they are over `MAX_IMAGE_PIXELS`.
+ * @param {Buffer} buffer
+ * @param {number} [maxBytes] Largest accepted file size.
+ * @returns {Promise<{ data: Buffer, contentType: string, extension: string }>}
+ * @throws {ImageError} When the file is too large, not an image, or cannot be converted.
+ */
+async function prepareImage(buffer, maxBytes = MAX_IMAGE_BYTES) {
+    if (buffer.length > maxBytes) {
+        throw new ImageError(ImageError.tooLarge, `Image of ${ buffer.length } bytes is over the ${ maxBytes } byte limit`);
+    }
+
+    const contentType = detectImageType(buffer);
+    if (!contentType) {
+        throw new ImageError(ImageError.notAnImage, 'File is not a JPEG, PNG, GIF, WebP or HEIC image');
+    }
+
+    const converted = contentType === 'image/webp' || contentType === 'image/heic';
+    if (converted) {
+        // Converting decodes the whole image: read its size from the header first.
+        checkImageDimensions(buffer);
+    }
+
+    let data = buffer;
+    try {
+        if (contentType === 'image/webp') {
+            const image = webp.decode(buffer);
+            data = jpeg.encode({ width: image.width, height: image.height, data: Buffer.from(image.data.buffer) }, JPEG_QUALITY * 100).data;
+        } else if (contentType === 'image/heic') {
+            data = Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: JPEG_QUALITY }));
+        }
+    } catch (err) {
+        throw new ImageError(ImageError.unreadable, `Could not convert the ${ contentType } image to JPEG: ${ err.message }`, err);
+    }
+
+    const storedType = converted ? 'image/jpeg' : contentType;
+    return { data, contentType: storedType, extension: extensionOf(storedType) };
+}
+
+// JPEG start of frame markers, which hold the image's dimensions: 0xC0 to 0xCF but for
+// 0xC4, 0xC8 and 0xCC.
+const JPEG_FRAME_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+function jpegDimensions(buffer) {
+    // Walk the segments, so thumbnails inside EXIF data are skipped.
+    let offset = 2;
+    while (offset + 9 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) return undefined;
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) {
+            // Fill byte before a marker.
+            offset += 1;
+        } else if (JPEG_FRAME_MARKERS.includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        } else if (marker === 0xD9 || marker === 0xDA) {
+            // End of image or start of scan before any frame header.
+            return undefined;
+        } else if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+            // Markers without a length.
+            offset += 2;
+        } else {
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return undefined;
+}
+
+function webpDimensions(buffer) {
+    if (buffer.length < 30) return undefined;
+    switch (buffer.toString('latin1', 12, 16)) {
+    case 'VP8 ':
+        // Lossy: 14 bit dimensions after the frame tag and start code.
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    case 'VP8L': {
+        // Lossless: width - 1 and height - 1 on 14 bits each, after the signature byte.
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    case 'VP8X':
+        // Extended: canvas width - 1 and height - 1 on 24 bits each.
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    default:
+        return undefined;
+    }
+}
+
+function heicDimensions(buffer) {
+    // The 'ispe' properties of the items in meta > iprp > ipco; the largest is the
+    // primary image, the others its tiles and thumbnails.
+    const meta = findBox(buffer, 'meta', 0, buffer.length);
+    // 'meta' is a full box: its children come after 4 bytes of version and flags.
+    const iprp = meta && findBox(buffer, 'iprp', meta.start + 4, meta.end);
+    const ipco = iprp && findBox(buffer, 'ipco', iprp.start, iprp.end);
+    if (!ipco) return undefined;
+
+    let dimensions;
+    for (const box of childBoxes(buffer, ipco.start, ipco.end)) {
+        if (box.type !== 'ispe' || box.end - box.start < 12) continue;
+        const width = buffer.readUInt32BE(box.start + 4);
+        const height = buffer.readUInt32BE(box.start + 8);
+        if (!dimensions || width * height > dimensions.width * dimensions.height) {
+            dimensions = { width, height };
+        }
+    }
+    return dimensions;
+}
+
+function findBox(buffer, type, start, end) {
+    return childBoxes(buffer, start, end).find(box => box.type === type);
+}
+
+// Returns the ISO BMFF boxes between `start` and `end`, as their type and the bounds of their content.
+function childBoxes(buffer, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let header = 8;
+        if (size === 1) {
+            if (offset + 16 > end) break;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header || offset + size > end) break;
+        boxes.push({ type: buffer.toString('latin1', offset + 4, offset + 8), start: offset + header, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+module.exports.MAX_IMAGE_BYTES = MAX_IMAGE_BYTES;
+module.exports.MAX_IMAGE_PIXELS = MAX_IMAGE_PIXELS;
+module.exports.ImageError = ImageError;
+module.exports.checkImageDimensions = checkImageDimensions;
+module.exports.contentTypeOfUrl = contentTypeOfUrl;
+module.exports.detectImageType = detectImageType;
+module.exports.extensionOf = extensionOf;
+module.exports.imageDimensions = imageDimensions;
+module.exports.prepareImage = prepareImage;
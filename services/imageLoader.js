@@ -0,0 +1,101 @@
+const axios = require('axios');
+const jpeg = require('jpeg-js');
+const { GifReader } = require('omggif');
+const { PNG } = require('pngjs');
+const webp = require('@cwasm/webp');
+
+const { checkImageDimensions, detectImageType, ImageError, MAX_IMAGE_PIXELS } = require('./imageFormat');
+
+const DOWNLOAD_TIMEOUT = 15000;
+
+/**
+ * Downloads an image and returns its bytes.
+ * @param {string} imageUrl
+ * @param {number} [maxBytes] Largest accepted download; no limit if omitted.
+ * @returns {Promise<Buffer>}
+ * @throws {ImageError} When the download is larger than `maxBytes`.
+ */
+async function fetchImage(imageUrl, maxBytes) {
+    const options = { responseType: 'arraybuffer', timeout: DOWNLOAD_TIMEOUT };
+    if (maxBytes) options.maxContentLength = maxBytes;
+    try {
+        const response = await axios.get(imageUrl, options);
+        return Buffer.from(response.data);
+    } catch (err) {
+        if (/maxContentLength/.test(err.message)) {
+            throw new ImageError(ImageError.tooLarge, `Image at ${ imageUrl } is over the ${ maxBytes } byte limit`, err);
+        }
+        throw err;
+    }
+}
+
+/**
+ * Decodes a JPEG, PNG, GIF or WebP image into RGBA pixels; only the first frame of an
+ * animated GIF is decoded. Returns undefined for other formats.
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, data: Buffer }|undefined}
+ * @throws {ImageError} When the image is over `MAX_IMAGE_PIXELS` or its header cannot be read.
+ */
+function decodeImage(buffer) {
+    const contentType = detectImageType(buffer);
+    if (contentType && contentType !== 'image/heic') {
+        checkImageDimensions(buffer);
+    }
+
+    switch (contentType) {
+    case 'image/jpeg':
+        return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_IMAGE_PIXELS / 1000000, maxMemoryUsageInMB: 256 });
+    case 'image/png':
+        return PNG.sync.read(buffer);
+    case 'image/gif': {
+        const reader = new GifReader(buffer);
+        const data = Buffer.alloc(reader.width * reader.height * 4);
+        reader.decodeAndBlitFrameRGBA(0, data);
+        return { width: reader.width, height: reader.height, data };
+    }
+    case 'image/webp': {
+        const image = webp.decode(buffer);
+        return { width: image.width, height: image.height, data: Buffer.from(image.data.buffer) };
+    }
+    default:
+        return undefined;
+    }
+}
+
+/**
+ * Decodes an image like `decodeImage()`, but returns undefined when it cannot be decoded
+ * or is too large.
+ * @param {Buffer} buffer
+ * @param {string} name Names the image in the log.
+ * @returns {{ width: number, height: number, data: Buffer }|undefined}
+ */
+function tryDecodeImage(buffer, name) {
+    try {
+        return decodeImage(buffer);
+    } catch (err) {
+        console.error(`[imageLoader]: could not decode ${ name }. ${ err.message }`);
+        return undefined;
+    }
+}
+
+/**
+ * Downloads and decodes an image. Returns undefined when the image cannot be
+ * downloaded or decoded.
+ * @param {string} imageUrl
+ * @returns {Promise<{ width: number, height: number, data: Buffer }|undefined>}
+ */
+async function loadImage(imageUrl) {
+    let buffer;
+    try {
+        buffer = await fetchImage(imageUrl);
+    } catch (err) {
+        console.error(`[imageLoader]: could not load ${ imageUrl }. ${ err.message }`);
+        return undefined;
+    }
+    return tryDecodeImage(buffer, imageUrl);
+}
+
+module.exports.decodeImage = decodeImage;
+module.exports.fetchImage = fetchImage;
+module.exports.loadImage = loadImage;
+module.exports.tryDecodeImage = tryDecodeImage;
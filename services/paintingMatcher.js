@@ -0,0 +1,131 @@
+const { paletteSimilarity } = require('./colorPalette');
+
+/**
+ * Scores catalog paintings against the tags Computer Vision found in a photo and,
+ * when known, the photo's dominant colours.
+ *
+ * Each photo tag shared with a painting adds `confidence * rarity` to that painting's
+ * tag score, where rarity is the inverse document frequency of the tag across the catalog.
+ * A tag carried by every painting therefore counts for little, and a tag only one
+ * painting has counts for a lot. The tag score is divided by the best score the photo's
+ * tags could reach, giving a value from 0 to 1.
+ *
+ * The palette similarity, also from 0 to 1, is blended in with `paletteWeight`:
+ * `score = (1 - paletteWeight) * tagScore + paletteWeight * paletteSimilarity`.
+ * Paintings without a stored palette are given the average similarity of the paintings
+ * that have one, so all scores stay on the same scale and storing a palette neither
+ * lifts nor sinks a painting by itself.
+ */
+class PaintingMatcher {
+    /**
+     * @param {Object} source Tag lookup with `lookup(tagNames)` and `size()`, such as a `TagIndex`.
+     * @param {Object} [options]
+     * @param {Object} [options.palettes] Palette lookup with `all()`, such as a `PaletteIndex`.
+     * @param {number} [options.paletteWeight] Weight of the palette similarity, from 0 to 1.
+     */
+    constructor(source, options = {}) {
+        if (!source) throw new Error('[PaintingMatcher]: Missing parameter. source is required');
+        this.source = source;
+        this.palettes = options.palettes;
+        this.paletteWeight = options.palettes && typeof options.paletteWeight === 'number' ? options.paletteWeight : 0;
+    }
+
+    /**
+     * Ranks the paintings sharing at least one tag or, given a palette, some colours with
+     * the photo, best match first. Equal scores are broken by the number of shared tags and
+     * then by painting id, so the same photo always produces the same ranking.
+     * @param {Object[]} tags Vision tags as `{ name, confidence }`.
+     * @param {Object[]} [palette] Dominant colours of the photo as `{ color, weight }`.
+     * @returns {Promise<Object[]>} `{ paintid, score, tagScore, paletteSimilarity, matchedTags }` entries.
+     */
+    async match(tags, palette) {
+        const photoTags = dedupeTags(tags || []);
+        const names = photoTags.map(tag => tag.name);
+        const [postings, paintingCount] = await Promise.all([
+            this.source.lookup(names),
+            this.source.size()
+        ]);
+
+        const candidates = new Map();
+        const candidate = paintid => {
+            if (!candidates.has(paintid)) {
+                candidates.set(paintid, { paintid, score: 0, tagScore: 0, paletteSimilarity: undefined, matchedTags: [] });
+            }
+            return candidates.get(paintid);
+        };
+
+        // The score of a painting carrying every photo tag, each found on no other painting.
+        let bestPossible = 0;
+        for (const tag of photoTags) {
+            bestPossible += tag.confidence * rarity(1, paintingCount);
+
+            const ids = postings.get(tag.name) || [];
+            if (ids.length === 0) continue;
+
+            const weight = tag.confidence * rarity(ids.length, paintingCount);
+            for (const paintid of ids) {
+                const entry = candidate(paintid);
+                entry.tagScore += weight;
+                entry.matchedTags.push({ name: tag.name, confidence: tag.confidence, weight });
+            }
+        }
+        for (const entry of candidates.values()) {
+            entry.tagScore = bestPossible > 0 ? entry.tagScore / bestPossible : 0;
+        }
+
+        let similaritySum = 0;
+        let similarityCount = 0;
+        if (this.paletteWeight > 0 && palette && palette.length > 0) {
+            for (const [paintid, paintingPalette] of await this.palettes.all()) {
+                const similarity = paletteSimilarity(palette, paintingPalette);
+                candidate(paintid).paletteSimilarity = similarity;
+                similaritySum += similarity;
+                similarityCount++;
+            }
+        }
+
+        const neutralSimilarity = similarityCount > 0 ? similaritySum / similarityCount : undefined;
+        for (const entry of candidates.values()) {
+            const similarity = entry.paletteSimilarity === undefined ? neutralSimilarity : entry.paletteSimilarity;
+            entry.score = similarity === undefined
+                ? entry.tagScore
+                : (1 - this.paletteWeight) * entry.tagScore + this.paletteWeight * similarity;
+        }
+
+        return [...candidates.values()].filter(entry => entry.score > 0).sort(compareCandidates);
+    }
+}
+
+/**
+ * Keeps one entry per tag name, with the highest confidence seen for it.
+ */
+function dedupeTags(tags) {
+    const byName = new Map();
+    for (const tag of tags) {
+        const confidence = typeof tag.confidence === 'number' ? tag.confidence : 1;
+        const seen = byName.get(tag.name);
+        if (!seen || seen.confidence < confidence) {
+            byName.set(tag.name, { name: tag.name, confidence });
+        }
+    }
+    return [...byName.values()];
+}
+
+/**
+ * Smoothed inverse document frequency of a tag found on `count` of `total` paintings.
+ */
+function rarity(count, total) {
+    return Math.log(1 + Math.max(total, count) / count);
+}
+
+function compareCandidates(a, b) {
+    if (b.score !== a.score) return b.score - a.score;
+    if (b.matchedTags.length !== a.matchedTags.length) return b.matchedTags.length - a.matchedTags.length;
+    return comparePaintIds(a.paintid, b.paintid);
+}
+
+function comparePaintIds(a, b) {
+    return String(a).localeCompare(String(b), 'en', { numeric: true });
+}
+
+module.exports.PaintingMatcher = PaintingMatcher;
@@ -0,0 +1,39 @@
+const { RefreshingIndex } = require('./refreshingIndex');
+
+/**
+ * In-memory map from painting id to the dominant-colour palette stored with the painting.
+ */
+class PaletteIndex extends RefreshingIndex {
+    /**
+     * @param {Function} loadPaintings Async function returning the catalog paintings.
+     * @param {number} refreshInterval Milliseconds between rebuilds; 0 disables the timer.
+     */
+    constructor(loadPaintings, refreshInterval = 0) {
+        super(refreshInterval);
+        if (!loadPaintings) throw new Error('[PaletteIndex]: Missing parameter. loadPaintings is required');
+        this.loadPaintings = loadPaintings;
+        this.palettes = new Map();
+    }
+
+    async build() {
+        const palettes = new Map();
+        for (const painting of await this.loadPaintings()) {
+            if (Array.isArray(painting.palette) && painting.palette.length > 0) {
+                palettes.set(painting.paintid, painting.palette);
+            }
+        }
+        this.palettes = palettes;
+        console.log(`[PaletteIndex]: indexed the palettes of ${ palettes.size } paintings.`);
+    }
+
+    /**
+     * Returns the palette of every painting that has one.
+     * @returns {Promise<Map<string, Object[]>>} painting id -> palette
+     */
+    async all() {
+        await this.ensureBuilt();
+        return this.palettes;
+    }
+}
+
+module.exports.PaletteIndex = PaletteIndex;
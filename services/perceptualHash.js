@@ -0,0 +1,100 @@
+// Side of the grayscale thumbnail the DCT is taken of.
+const THUMBNAIL_SIZE = 32;
+
+// Side of the block of lowest frequencies kept; the hash has HASH_SIZE * HASH_SIZE bits.
+const HASH_SIZE = 8;
+
+const COSINES = cosineTable(THUMBNAIL_SIZE);
+
+/**
+ * Computes the DCT-based perceptual hash (pHash) of an image: the 8x8 lowest frequencies
+ * of a 32x32 grayscale thumbnail, each compared with their median. Resizing, recompression
+ * and small colour changes leave the hash nearly unchanged.
+ * @param {{ width: number, height: number, data: Buffer }} image RGBA pixels.
+ * @returns {string} 64-bit hash as 16 hex digits.
+ */
+function perceptualHash(image) {
+    const pixels = grayscaleThumbnail(image);
+
+    const coefficients = [];
+    for (let u = 0; u < HASH_SIZE; u++) {
+        for (let v = 0; v < HASH_SIZE; v++) {
+            let sum = 0;
+            for (let y = 0; y < THUMBNAIL_SIZE; y++) {
+                for (let x = 0; x < THUMBNAIL_SIZE; x++) {
+                    sum += pixels[y * THUMBNAIL_SIZE + x] * COSINES[u][y] * COSINES[v][x];
+                }
+            }
+            coefficients.push(sum);
+        }
+    }
+
+    // The DC coefficient only reflects overall brightness, so it is left out of the median.
+    const median = [...coefficients.slice(1)].sort((a, b) => a - b)[Math.floor((coefficients.length - 1) / 2)];
+
+    let hash = '';
+    for (let i = 0; i < coefficients.length; i += 4) {
+        let nibble = 0;
+        for (let bit = 0; bit < 4; bit++) {
+            nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+        }
+        hash += nibble.toString(16);
+    }
+    return hash;
+}
+
+/**
+ * Returns the number of bits in which two hashes differ.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Averages the image down to a THUMBNAIL_SIZE x THUMBNAIL_SIZE grayscale thumbnail.
+ */
+function grayscaleThumbnail(image) {
+    const pixels = new Float64Array(THUMBNAIL_SIZE * THUMBNAIL_SIZE);
+    for (let ty = 0; ty < THUMBNAIL_SIZE; ty++) {
+        const y0 = Math.floor(ty * image.height / THUMBNAIL_SIZE);
+        const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * image.height / THUMBNAIL_SIZE));
+        for (let tx = 0; tx < THUMBNAIL_SIZE; tx++) {
+            const x0 = Math.floor(tx * image.width / THUMBNAIL_SIZE);
+            const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * image.width / THUMBNAIL_SIZE));
+            let sum = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const offset = (y * image.width + x) * 4;
+                    sum += 0.299 * image.data[offset] + 0.587 * image.data[offset + 1] + 0.114 * image.data[offset + 2];
+                }
+            }
+            pixels[ty * THUMBNAIL_SIZE + tx] = sum / ((y1 - y0) * (x1 - x0));
+        }
+    }
+    return pixels;
+}
+
+function cosineTable(size) {
+    const table = [];
+    for (let u = 0; u < size; u++) {
+        table.push([]);
+        for (let x = 0; x < size; x++) {
+            table[u].push(Math.cos((2 * x + 1) * u * Math.PI / (2 * size)));
+        }
+    }
+    return table;
+}
+
+module.exports.hammingDistance = hammingDistance;
+module.exports.perceptualHash = perceptualHash;
@@ -0,0 +1,68 @@
+/**
+ * Base class of the in-memory indexes built from the catalog and rebuilt on a timer.
+ * Subclasses implement `build()`, which must swap in the new index in one step so
+ * lookups never see a half-built one.
+ */
+class RefreshingIndex {
+    /**
+     * @param {number} refreshInterval Milliseconds between rebuilds; 0 disables the timer.
+     */
+    constructor(refreshInterval = 0) {
+        this.refreshInterval = refreshInterval;
+        this.builtAt = undefined;
+        this.building = undefined;
+        this.queued = undefined;
+        this.timer = undefined;
+    }
+
+    /**
+     * Builds the index and schedules the periodic refresh.
+     * @returns {Promise} Resolves once the first build has finished.
+     */
+    start() {
+        if (this.refreshInterval > 0 && !this.timer) {
+            this.timer = setInterval(() => {
+                this.refresh().catch(err => console.error(`[${ this.constructor.name }]: refresh failed, keeping the previous index. ${ err }`));
+            }, this.refreshInterval);
+            // The refresh timer alone should not keep the process alive.
+            if (this.timer.unref) this.timer.unref();
+        }
+        return this.refresh();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = undefined;
+    }
+
+    /**
+     * Rebuilds the index. A call made during a rebuild queues one more, as the running one
+     * may have read the catalog before the change the caller wants seen; calls made
+     * meanwhile share that queued rebuild.
+     */
+    refresh() {
+        if (this.building) {
+            if (!this.queued) {
+                this.queued = this.building.catch(() => {}).then(() => {
+                    this.queued = undefined;
+                    return this.refresh();
+                });
+            }
+            return this.queued;
+        }
+        this.building = this.build()
+            .then(() => { this.builtAt = new Date(); })
+            .finally(() => { this.building = undefined; });
+        return this.building;
+    }
+
+    async build() {
+        throw new Error(`[${ this.constructor.name }]: build is not implemented`);
+    }
+
+    async ensureBuilt() {
+        if (!this.builtAt) await this.refresh();
+    }
+}
+
+module.exports.RefreshingIndex = RefreshingIndex;
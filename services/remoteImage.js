@@ -0,0 +1,212 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const { detectImageType, ImageError, MAX_IMAGE_BYTES } = require('./imageFormat');
+
+const DOWNLOAD_TIMEOUT = 15000;
+const MAX_REDIRECTS = 3;
+
+// Meta tags naming the image of a web page, most specific first.
+const PAGE_IMAGE_PROPERTIES = ['og:image:secure_url', 'og:image:url', 'og:image', 'twitter:image', 'twitter:image:src'];
+
+// Every connection is checked after its host name is resolved, so a name cannot be
+// pointed at an internal address between the check and the download.
+const httpAgent = new http.Agent({ lookup: publicOnlyLookup });
+const httpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+/**
+ * Downloads the image a user linked to. The link may lead to the image itself or to a web
+ * page naming its image in an `og:image` meta tag, as photo sharing sites do. Links to
+ * private, loopback and link-local addresses are refused, redirects are followed only
+ * `maxRedirects` times, and the download must be an image by both its content type and content.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] Largest accepted download.
+ * @param {number} [options.maxRedirects] Redirects followed per download.
+ * @returns {Promise<{ url: string, data: Buffer }>} The image's own URL and its bytes.
+ * @throws {ImageError}
+ */
+async function fetchRemoteImage(url, options = {}) {
+    const settings = {
+        maxBytes: options.maxBytes || MAX_IMAGE_BYTES,
+        maxRedirects: typeof options.maxRedirects === 'number' ? options.maxRedirects : MAX_REDIRECTS
+    };
+
+    const page = await download(url, settings);
+    if (isImage(page)) return { url: page.url, data: page.data };
+
+    const imageUrl = isHtml(page) ? findPageImage(page.data.toString('utf8'), page.url) : undefined;
+    if (imageUrl) {
+        const image = await download(imageUrl, settings);
+        if (isImage(image)) return { url: image.url, data: image.data };
+    }
+    throw new ImageError(ImageError.notAnImage, `${ url } is not an image${ imageUrl ? ` and neither is its page image ${ imageUrl }` : '' }`);
+}
+
+/**
+ * Returns true unless the IP address is private, loopback, link-local, or otherwise not
+ * reachable on the public internet.
+ * @param {string} address IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+    if (net.isIPv4(address)) return isPublicIPv4(address);
+    if (!net.isIPv6(address)) return false;
+
+    const text = address.toLowerCase();
+    // IPv4-mapped (::ffff:a.b.c.d) and IPv4-compatible addresses.
+    const mapped = text.match(/^::(ffff:)?(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPublicIPv4(mapped[2]);
+    if (/^::ffff:[0-9a-f]{1,4}:[0-9a-f]{1,4}$/.test(text)) return false;
+    if (text === '::' || text === '::1') return false;
+
+    const first = parseInt(text.split(':')[0] || '0', 16);
+    if ((first & 0xFE00) === 0xFC00) return false; // fc00::/7 unique local
+    if ((first & 0xFFC0) === 0xFE80) return false; // fe80::/10 link-local
+    if ((first & 0xFFC0) === 0xFEC0) return false; // fec0::/10 site-local
+    if ((first & 0xFF00) === 0xFF00) return false; // ff00::/8 multicast
+    return true;
+}
+
+function isPublicIPv4(address) {
+    const [a, b] = address.split('.').map(Number);
+    return !(a === 0 || a === 10 || a === 127 || a >= 224 || // this network, private, loopback, multicast and reserved
+        (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+        (a === 169 && b === 254) || // link-local
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        (a === 192 && b === 0) || // IETF protocol assignments
+        (a === 198 && (b === 18 || b === 19))); // benchmarking
+}
+
+/**
+ * `dns.lookup` refusing host names that resolve to an address that is not public.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        const blocked = addresses.find(entry => !isPublicAddress(entry));
+        if (blocked) {
+            return callback(new ImageError(ImageError.blockedAddress, `${ hostname } resolves to the non-public address ${ blocked }`));
+        }
+        callback(null, address, family);
+    });
+}
+
+/**
+ * GETs the URL, following at most `maxRedirects` redirects, each checked like the URL itself.
+ * @returns {Promise<{ url: string, contentType: string, data: Buffer }>}
+ */
+async function download(url, settings) {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+        checkUrl(current);
+        let response;
+        try {
+            response = await axios.get(current, {
+                responseType: 'arraybuffer',
+                timeout: DOWNLOAD_TIMEOUT,
+                maxRedirects: 0,
+                maxContentLength: settings.maxBytes,
+                validateStatus: status => status >= 200 && status < 400,
+                httpAgent,
+                httpsAgent,
+                proxy: false,
+                headers: { Accept: 'image/*, text/html;q=0.8' }
+            });
+        } catch (err) {
+            if (err instanceof ImageError) throw err;
+            if (/maxContentLength/.test(err.message)) {
+                throw new ImageError(ImageError.tooLarge, `${ current } is over the ${ settings.maxBytes } byte limit`, err);
+            }
+            throw new ImageError(ImageError.unreachable, `Could not download ${ current }: ${ err.message }`, err);
+        }
+
+        if (response.status < 300) {
+            return { url: current, contentType: String(response.headers['content-type'] || ''), data: Buffer.from(response.data) };
+        }
+        if (!response.headers.location) {
+            throw new ImageError(ImageError.unreachable, `${ current } answered ${ response.status } without a location`);
+        }
+        if (redirects >= settings.maxRedirects) {
+            throw new ImageError(ImageError.tooManyRedirects, `${ url } redirects more than ${ settings.maxRedirects } times`);
+        }
+        current = new URL(response.headers.location, current).href;
+    }
+}
+
+/**
+ * Refuses URLs that are not HTTP(S) or that name a non-public IP address directly;
+ * host names are checked when they are resolved.
+ */
+function checkUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        throw new ImageError(ImageError.unreachable, `"${ url }" is not a valid URL`, err);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new ImageError(ImageError.unreachable, `${ url } is not an HTTP(S) URL`);
+    }
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host)) {
+        throw new ImageError(ImageError.blockedAddress, `${ url } points at the non-public address ${ host }`);
+    }
+}
+
+function isImage(download) {
+    const declared = download.contentType.split(';')[0].trim().toLowerCase();
+    const declaredImage = declared === '' || declared.startsWith('image/') || declared === 'application/octet-stream';
+    return declaredImage && detectImageType(download.data) !== undefined;
+}
+
+function isHtml(download) {
+    return /^(text\/html|application\/xhtml\+xml)/i.test(download.contentType);
+}
+
+/**
+ * Returns the absolute URL of the image a web page names in its meta tags, if any.
+ */
+function findPageImage(html, pageUrl) {
+    const found = {};
+    for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+        const attributes = {};
+        const pattern = /([a-z:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+        let match;
+        while ((match = pattern.exec(tag))) {
+            attributes[match[1].toLowerCase()] = match[3] !== undefined ? match[3] : match[4] !== undefined ? match[4] : match[5];
+        }
+        const property = (attributes.property || attributes.name || '').toLowerCase();
+        if (PAGE_IMAGE_PROPERTIES.includes(property) && attributes.content && !found[property]) {
+            found[property] = decodeEntities(attributes.content.trim());
+        }
+    }
+
+    const property = PAGE_IMAGE_PROPERTIES.find(name => found[name]);
+    if (!property) return undefined;
+    try {
+        return new URL(found[property], pageUrl).href;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+module.exports.MAX_REDIRECTS = MAX_REDIRECTS;
+module.exports.fetchRemoteImage = fetchRemoteImage;
+module.exports.isPublicAddress = isPublicAddress;
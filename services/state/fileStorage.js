@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+
+/**
+ * Bot state storage kept in a local JSON file, so conversation and user state survive
+ * restarts of a single bot instance. Like `MemoryStorage`, every write of an item with an
+ * eTag other than `*` fails when the stored item has changed since it was read.
+ * `create()` writes items that must not exist yet.
+ */
+class FileStorage {
+    /**
+     * @param {string} filePath Path of the JSON file; created on the first write.
+     */
+    constructor(filePath) {
+        if (!filePath) throw new Error('[FileStorage]: Missing parameter. filePath is required');
+        this.filePath = filePath;
+        this.items = undefined;
+        // Operations run one at a time so a write never interleaves with another.
+        this.queue = Promise.resolve();
+    }
+
+    read(keys) {
+        return this.enqueue(async () => {
+            const items = await this.load();
+            const found = {};
+            for (const key of keys) {
+                if (items[key]) found[key] = clone(items[key]);
+            }
+            return found;
+        });
+    }
+
+    write(changes) {
+        return this.enqueue(async () => {
+            const items = await this.load();
+            for (const key of Object.keys(changes)) {
+                const change = changes[key];
+                const stored = items[key];
+                if (stored && change.eTag && change.eTag !== '*' && change.eTag !== stored.eTag) {
+                    throw eTagConflict(key);
+                }
+            }
+            for (const key of Object.keys(changes)) {
+                items[key] = { ...clone(changes[key]), eTag: uuid.v4() };
+            }
+            await this.save(items);
+        });
+    }
+
+    /**
+     * Writes new items, failing with an eTag conflict when any of them is already stored.
+     * @param {Object} changes Items by key.
+     */
+    create(changes) {
+        return this.enqueue(async () => {
+            const items = await this.load();
+            const taken = Object.keys(changes).find(key => items[key]);
+            if (taken) throw eTagConflict(taken);
+            for (const key of Object.keys(changes)) {
+                items[key] = { ...clone(changes[key]), eTag: uuid.v4() };
+            }
+            await this.save(items);
+        });
+    }
+
+    delete(keys) {
+        return this.enqueue(async () => {
+            const items = await this.load();
+            for (const key of keys) delete items[key];
+            await this.save(items);
+        });
+    }
+
+    enqueue(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async load() {
+        if (!this.items) {
+            try {
+                this.items = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw new Error(`[FileStorage]: could not read ${ this.filePath }. ${ err.message }`);
+                this.items = {};
+            }
+        }
+        return this.items;
+    }
+
+    /**
+     * Writes to a temporary file first so a crash never leaves a half-written state file.
+     */
+    async save(items) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${ this.filePath }.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(items), 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+function eTagConflict(key) {
+    const error = new Error(`Storage: error writing "${ key }" due to eTag conflict.`);
+    error.statusCode = 412;
+    return error;
+}
+
+function clone(item) {
+    return JSON.parse(JSON.stringify(item));
+}
+
+module.exports.FileStorage = FileStorage;
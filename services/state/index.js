@@ -0,0 +1,49 @@
+const path = require('path');
+const { MemoryStorage } = require('botbuilder');
+const { BlobStorage, CosmosDbPartitionedStorage } = require('botbuilder-azure');
+const { FileStorage } = require('./fileStorage');
+const { saveStateChanges } = require('./stateSaver');
+const { SubscriptionStore } = require('./subscriptionStore');
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '..', '..', 'state', 'bot-state.json');
+const DEFAULT_STATE_DATABASE = 'BotState';
+const DEFAULT_STATE_CONTAINER = 'botstate';
+
+/**
+ * Creates the storage for conversation and user state selected by the `StateStorage` setting:
+ *
+ * - `memory` (the default) keeps state in memory; it is lost on restart.
+ * - `file` keeps state in `StateStorageFile` (state/bot-state.json by default).
+ * - `cosmos` uses the `StateContainer` container (botstate by default) of the `StateDatabase`
+ *   database (BotState by default) in the Cosmos DB account of `CosmosDbEndpoint` and `CosmosDbAuthKey`.
+ * - `blob` uses the `StateContainer` container of the storage account in `AZURE_STORAGE_CONNECTION_STRING`.
+ */
+function createStateStorage() {
+    const backend = process.env.StateStorage || 'memory';
+    switch (backend) {
+    case 'memory':
+        return new MemoryStorage();
+    case 'file':
+        return new FileStorage(process.env.StateStorageFile || DEFAULT_STATE_FILE);
+    case 'cosmos':
+        return new CosmosDbPartitionedStorage({
+            cosmosDbEndpoint: process.env.CosmosDbEndpoint,
+            authKey: process.env.CosmosDbAuthKey,
+            databaseId: process.env.StateDatabase || DEFAULT_STATE_DATABASE,
+            containerId: process.env.StateContainer || DEFAULT_STATE_CONTAINER,
+            compatibilityMode: false
+        });
+    case 'blob':
+        return new BlobStorage({
+            containerName: process.env.StateContainer || DEFAULT_STATE_CONTAINER,
+            storageAccountOrConnectionString: process.env.AZURE_STORAGE_CONNECTION_STRING
+        });
+    default:
+        throw new Error(`[createStateStorage]: Unknown StateStorage "${ backend }". Use "memory", "file", "cosmos" or "blob".`);
+    }
+}
+
+module.exports.createStateStorage = createStateStorage;
+module.exports.saveStateChanges = saveStateChanges;
+module.exports.FileStorage = FileStorage;
+module.exports.SubscriptionStore = SubscriptionStore;
@@ -0,0 +1,137 @@
+const { calculateChangeHash, MemoryStorage } = require('botbuilder');
+const { BlobStorage, CosmosDbKeyEscape, CosmosDbPartitionedStorage } = require('botbuilder-azure');
+const { FileStorage } = require('./fileStorage');
+
+// Times a state write is attempted before a conflict is given up on.
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * Saves the changes a turn made to a `BotState` with optimistic concurrency.
+ *
+ * `BotState.saveChanges()` writes with the eTag `*`, so when two turns of the same user or
+ * conversation overlap (two bot instances, or a message arriving while a photo is still
+ * being matched) the last one silently overwrites the other. This writes with the eTag read
+ * at the start of the turn instead. On a conflict it reads the stored state again, applies
+ * this turn's changes on top of it, property by property, and retries.
+ *
+ * Relies on the cached state entry `BotState` keeps in the turn state, as of botbuilder 4.10.
+ * @param {TurnContext} context
+ * @param {BotState} botState
+ * @param {number} [maxAttempts]
+ */
+async function saveStateChanges(context, botState, maxAttempts = MAX_SAVE_ATTEMPTS) {
+    const cached = context.turnState.get(botState.stateKey);
+    if (!cached || !cached.state || cached.hash === calculateChangeHash(cached.state)) return;
+
+    const key = await botState.storageKey(context);
+    let base = cached.hash ? JSON.parse(cached.hash) : {};
+    let state = cached.state;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            // Items that did not exist when the turn started have no eTag. They are created
+            // with a create-only write, so a turn that created them meanwhile is merged with.
+            if (state.eTag) {
+                await botState.storage.write({ [key]: state });
+            } else {
+                await createItem(botState.storage, key, state);
+            }
+            break;
+        } catch (err) {
+            if (!isConcurrencyError(err) || attempt >= maxAttempts) throw err;
+            console.log(`[saveStateChanges]: "${ key }" changed during the turn, merging (attempt ${ attempt }).`);
+
+            const stored = (await botState.storage.read([key]))[key] || {};
+            const merged = mergeChanges(base, withoutETag(state), withoutETag(stored));
+            base = withoutETag(stored);
+            state = { ...merged, eTag: stored.eTag };
+        }
+    }
+
+    // Later writes in this turn overwrite, as `BotState.saveChanges()` does.
+    cached.state = { ...state, eTag: '*' };
+    cached.hash = calculateChangeHash(cached.state);
+    context.turnState.set(botState.stateKey, cached);
+}
+
+/**
+ * Applies the changes made from `base` to `mine` on top of `theirs`. Nested objects are
+ * merged key by key, including those both turns created; anything else this turn changed
+ * replaces the stored value.
+ */
+function mergeChanges(base, mine, theirs) {
+    const merged = { ...theirs };
+    const keys = new Set([...Object.keys(base), ...Object.keys(mine)]);
+    for (const key of keys) {
+        if (!(key in mine)) {
+            if (key in base) delete merged[key];
+        } else if (isPlainObject(mine[key]) && isPlainObject(theirs[key]) && (base[key] === undefined || isPlainObject(base[key]))) {
+            merged[key] = mergeChanges(base[key] || {}, mine[key], theirs[key]);
+        } else if (JSON.stringify(mine[key]) !== JSON.stringify(base[key])) {
+            merged[key] = mine[key];
+        }
+    }
+    return merged;
+}
+
+/**
+ * Writes an item that must not exist yet, failing with a conflict `isConcurrencyError()`
+ * recognizes when it does. Storages write an item without an eTag, or with `*`, over
+ * whatever is stored, so this goes through each storage's own create-only write, as of
+ * botbuilder-azure 4.11: a Cosmos DB create, a blob upload with `If-None-Match: *`, and
+ * `FileStorage.create()`. `MemoryStorage` writes synchronously, so it is checked and
+ * written at once. Other storages are written with `*`.
+ * @param {Storage} storage
+ * @param {string} key
+ * @param {Object} item
+ */
+async function createItem(storage, key, item) {
+    const document = withoutETag(item);
+    if (storage instanceof FileStorage) {
+        await storage.create({ [key]: document });
+    } else if (storage instanceof MemoryStorage) {
+        if (storage.memory[key]) {
+            const error = new Error(`Storage: error writing "${ key }" due to eTag conflict.`);
+            error.statusCode = 412;
+            throw error;
+        }
+        await storage.write({ [key]: { ...document, eTag: '*' } });
+    } else if (storage instanceof CosmosDbPartitionedStorage) {
+        await storage.initialize();
+        const { keySuffix, compatibilityMode } = storage.cosmosDbStorageOptions;
+        const id = CosmosDbKeyEscape.escapeKey(key, keySuffix, compatibilityMode);
+        await storage.container.items.create({ id, realId: key, document });
+    } else if (storage instanceof BlobStorage) {
+        const container = await storage.ensureContainerExists();
+        const id = storage.sanitizeKey(key);
+        await storage.client.createBlockBlobFromTextAsync(container.name, id, JSON.stringify({ id, realId: key, document }), {
+            accessConditions: { EtagNonMatch: '*' }
+        });
+    } else {
+        await storage.write({ [key]: { ...document, eTag: '*' } });
+    }
+}
+
+/**
+ * Recognizes eTag conflicts of `MemoryStorage`, `FileStorage` and the botbuilder-azure
+ * Cosmos DB and Blob storages, and the conflicts of `createItem()`.
+ */
+function isConcurrencyError(err) {
+    const status = err && (err.statusCode || err.code);
+    return err && (status === 409 || status === 412 || /eTag conflict|precondition|already exists/i.test(err.message));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function withoutETag(item) {
+    const copy = { ...item };
+    delete copy.eTag;
+    return copy;
+}
+
+module.exports.createItem = createItem;
+module.exports.isConcurrencyError = isConcurrencyError;
+module.exports.mergeChanges = mergeChanges;
+module.exports.saveStateChanges = saveStateChanges;
@@ -0,0 +1,87 @@
+const { createItem, isConcurrencyError } = require('./stateSaver');
+
+// Storage key of the item listing the subscribers.
+const SUBSCRIPTIONS_KEY = 'subscriptions/paintingOfTheDay';
+
+// Times a change is attempted before a conflict is given up on.
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Keeps the painting-of-the-day subscriptions in the bot state storage. Bot storages
+ * cannot list their items, so every subscription is kept in one item, which is written
+ * with optimistic concurrency: a change made meanwhile by another turn or bot instance
+ * is read back and the change applied again on top of it. The first subscription creates
+ * the item with a create-only write, so two first subscriptions made at once do not
+ * overwrite each other either.
+ *
+ * A subscription is `{ reference, deliveryTime, timeZone, lastDelivered }`, keyed by
+ * subscriber id.
+ */
+class SubscriptionStore {
+    /**
+     * @param {Storage} storage Bot state storage, such as the one `createStateStorage()` returns.
+     * @param {string} [key] Storage key of the subscriptions item.
+     */
+    constructor(storage, key = SUBSCRIPTIONS_KEY) {
+        if (!storage) throw new Error('[SubscriptionStore]: Missing parameter. storage is required');
+        this.storage = storage;
+        this.key = key;
+    }
+
+    /**
+     * Returns every subscription, keyed by subscriber id.
+     * @returns {Promise<Object>}
+     */
+    async list() {
+        return (await this.read()).subscribers;
+    }
+
+    /**
+     * Returns the subscriber's subscription, or undefined.
+     * @param {string} id
+     * @returns {Promise<Object|undefined>}
+     */
+    async get(id) {
+        return (await this.list())[id];
+    }
+
+    /**
+     * Changes one subscription. `change` receives the current subscription, or undefined,
+     * and returns the new one, or undefined to remove it. It may be called again when the
+     * subscriptions changed meanwhile.
+     * @param {string} id
+     * @param {Function} change
+     * @returns {Promise<Object|undefined>} The new subscription.
+     */
+    async update(id, change) {
+        for (let attempt = 1; ; attempt++) {
+            const item = await this.read();
+            const updated = change(item.subscribers[id]);
+            const subscribers = { ...item.subscribers };
+            if (updated) {
+                subscribers[id] = updated;
+            } else {
+                delete subscribers[id];
+            }
+
+            try {
+                if (item.eTag) {
+                    await this.storage.write({ [this.key]: { subscribers, eTag: item.eTag } });
+                } else {
+                    await createItem(this.storage, this.key, { subscribers });
+                }
+                return updated;
+            } catch (err) {
+                if (!isConcurrencyError(err) || attempt >= MAX_WRITE_ATTEMPTS) throw err;
+                console.log(`[SubscriptionStore]: subscriptions changed meanwhile, retrying (attempt ${ attempt }).`);
+            }
+        }
+    }
+
+    async read() {
+        const item = (await this.storage.read([this.key]))[this.key];
+        return { subscribers: (item && item.subscribers) || {}, eTag: item && item.eTag };
+    }
+}
+
+module.exports.SubscriptionStore = SubscriptionStore;
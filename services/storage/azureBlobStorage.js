@@ -0,0 +1,74 @@
+const { BlobSASPermissions, BlobServiceClient, StorageSharedKeyCredential } = require('@azure/storage-blob');
+const { UploadStorage } = require('./uploadStorage');
+
+const DEFAULT_CONTAINER = 'paintings';
+
+// Minutes the read-only links handed out for uploads stay valid.
+const SAS_MINUTES = 60;
+
+// Links are valid from a few minutes in the past, in case the storage service's clock is behind.
+const CLOCK_SKEW_MINUTES = 5;
+
+/**
+ * Stores uploads as blobs in an Azure Storage container. The container does not need to be
+ * public: every upload is handed out with a read-only SAS link that expires.
+ */
+class AzureBlobStorage extends UploadStorage {
+    /**
+     * @param {ContainerClient} containerClient
+     * @param {number} [sasMinutes] Lifetime of the links handed out for uploads.
+     */
+    constructor(containerClient, sasMinutes = SAS_MINUTES) {
+        super();
+        if (!containerClient) throw new Error('[AzureBlobStorage]: Missing parameter. containerClient is required');
+        this.containerClient = containerClient;
+        this.sasMinutes = sasMinutes;
+        this.containerReady = undefined;
+    }
+
+    /**
+     * Creates the storage from the `AZURE_STORAGE_CONNECTION_STRING`, `UploadContainer`
+     * and `UploadSasMinutes` settings.
+     */
+    static fromEnvironment() {
+        const connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING;
+        if (!connectionString) throw new Error('[AzureBlobStorage]: AZURE_STORAGE_CONNECTION_STRING is not set');
+        const containerClient = BlobServiceClient.fromConnectionString(connectionString)
+            .getContainerClient(process.env.UploadContainer || DEFAULT_CONTAINER);
+        return new AzureBlobStorage(containerClient, Number(process.env.UploadSasMinutes || SAS_MINUTES));
+    }
+
+    async save(name, data, contentType, options = {}) {
+        if (!this.containerReady) {
+            this.containerReady = this.containerClient.createIfNotExists().catch(err => {
+                this.containerReady = undefined;
+                throw err;
+            });
+        }
+        await this.containerReady;
+
+        const blobClient = this.containerClient.getBlockBlobClient(name);
+        const response = await blobClient.upload(data, data.length, { blobHTTPHeaders: { blobContentType: contentType } });
+        console.log(`Blob was uploaded successfully. requestId: ${ response.requestId }`);
+
+        const minutes = this.linkLifetime(options.linkMinutes);
+        if (!minutes) return blobClient.url;
+
+        const now = Date.now();
+        return blobClient.generateSasUrl({
+            permissions: BlobSASPermissions.parse('r'),
+            startsOn: new Date(now - CLOCK_SKEW_MINUTES * 60 * 1000),
+            expiresOn: new Date(now + minutes * 60 * 1000)
+        });
+    }
+
+    linkLifetime(linkMinutes) {
+        // SAS links can only be signed with the account key. A connection string holding a
+        // SAS token of its own already puts that token in the blob URL, and the token's
+        // expiry is not the bot's to tell.
+        if (!(this.containerClient.credential instanceof StorageSharedKeyCredential)) return undefined;
+        return linkMinutes || this.sasMinutes;
+    }
+}
+
+module.exports.AzureBlobStorage = AzureBlobStorage;
@@ -0,0 +1,35 @@
+const path = require('path');
+const { AzureBlobStorage } = require('./azureBlobStorage');
+const { LocalFileStorage } = require('./localFileStorage');
+const { UploadStorage } = require('./uploadStorage');
+
+const DEFAULT_UPLOAD_DIRECTORY = path.join(__dirname, '..', '..', 'uploads');
+
+// Path the local upload directory is served at by the bot's web server.
+const UPLOADS_ROUTE = '/uploads';
+
+/**
+ * Creates the upload storage selected by the `UploadStorage` setting: `azure`, or `local`
+ * to keep uploads in `UploadDirectory` (uploads/ by default) served at `PublicBaseUrl`
+ * (http://localhost:<port> by default). Without the setting Azure is used when
+ * `AZURE_STORAGE_CONNECTION_STRING` is configured.
+ */
+function createUploadStorage() {
+    const backend = process.env.UploadStorage || (process.env.AZURE_STORAGE_CONNECTION_STRING ? 'azure' : 'local');
+    switch (backend) {
+    case 'azure':
+        return AzureBlobStorage.fromEnvironment();
+    case 'local': {
+        const baseUrl = process.env.PublicBaseUrl || `http://localhost:${ process.env.port || process.env.PORT || 3978 }`;
+        return new LocalFileStorage(process.env.UploadDirectory || DEFAULT_UPLOAD_DIRECTORY, baseUrl.replace(/\/+$/, '') + UPLOADS_ROUTE);
+    }
+    default:
+        throw new Error(`[createUploadStorage]: Unknown UploadStorage "${ backend }". Use "azure" or "local".`);
+    }
+}
+
+module.exports.UPLOADS_ROUTE = UPLOADS_ROUTE;
+module.exports.createUploadStorage = createUploadStorage;
+module.exports.AzureBlobStorage = AzureBlobStorage;
+module.exports.LocalFileStorage = LocalFileStorage;
+module.exports.UploadStorage = UploadStorage;
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const { UploadStorage } = require('./uploadStorage');
+
+/**
+ * Stores uploads in a local directory, for developing the bot without an Azure Storage
+ * account. The files are served by the bot's own web server (see routes/uploads.js) under
+ * `baseUrl`, which must be reachable by the vision service.
+ */
+class LocalFileStorage extends UploadStorage {
+    /**
+     * @param {string} directory Directory the uploads are written to; created when missing.
+     * @param {string} baseUrl URL the directory is served at.
+     */
+    constructor(directory, baseUrl) {
+        super();
+        if (!directory) throw new Error('[LocalFileStorage]: Missing parameter. directory is required');
+        if (!baseUrl) throw new Error('[LocalFileStorage]: Missing parameter. baseUrl is required');
+        this.directory = directory;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    async save(name, data, contentType) {
+        // Names never leave the upload directory.
+        const fileName = path.basename(name);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(path.join(this.directory, fileName), data);
+        return `${ this.baseUrl }/${ encodeURIComponent(fileName) }`;
+    }
+}
+
+module.exports.LocalFileStorage = LocalFileStorage;
@@ -0,0 +1,31 @@
+/**
+ * Base class of the upload storages, which keep the photos users send to the bot and
+ * hand out the URLs the vision service and the bot's replies read them from.
+ */
+class UploadStorage {
+    /**
+     * Stores an uploaded image and returns a URL it can be downloaded from.
+     * @param {string} name File name, unique per upload.
+     * @param {Buffer} data
+     * @param {string} contentType
+     * @param {Object} [options]
+     * @param {number} [options.linkMinutes] How long the URL is to stay valid, for storages
+     * whose URLs expire; the storage's own lifetime by default.
+     * @returns {Promise<string>}
+     */
+    async save(name, data, contentType, options) {
+        throw new Error(`[${ this.constructor.name }]: save is not implemented`);
+    }
+
+    /**
+     * Returns how many minutes the URLs `save()` returns stay valid, or undefined when they
+     * do not expire.
+     * @param {number} [linkMinutes] The lifetime asked of `save()`.
+     * @returns {number|undefined}
+     */
+    linkLifetime(linkMinutes) {
+        return undefined;
+    }
+}
+
+module.exports.UploadStorage = UploadStorage;
@@ -0,0 +1,65 @@
+const { RefreshingIndex } = require('./refreshingIndex');
+
+/**
+ * In-memory inverted index from catalog tag to the ids of the paintings carrying it.
+ *
+ * The index is built once from the full set of tag rows and rebuilt on a timer, so a
+ * photo is matched against the whole catalog without a database round trip per painting.
+ */
+class TagIndex extends RefreshingIndex {
+    /**
+     * @param {Function} loadRows Async function returning every `{ paintid, tag }` row of the catalog.
+     * @param {number} refreshInterval Milliseconds between rebuilds; 0 disables the timer.
+     */
+    constructor(loadRows, refreshInterval = 0) {
+        super(refreshInterval);
+        if (!loadRows) throw new Error('[TagIndex]: Missing parameter. loadRows is required');
+        this.loadRows = loadRows;
+        this.postings = new Map();
+        this.paintingCount = 0;
+    }
+
+    async build() {
+        const rows = await this.loadRows();
+        const postings = new Map();
+        const paintings = new Set();
+
+        for (const row of rows) {
+            paintings.add(row.paintid);
+            if (!row.tag) continue;
+            const ids = postings.get(row.tag) || new Set();
+            ids.add(row.paintid);
+            postings.set(row.tag, ids);
+        }
+
+        this.postings = postings;
+        this.paintingCount = paintings.size;
+        console.log(`[TagIndex]: indexed ${ postings.size } tags over ${ paintings.size } paintings.`);
+    }
+
+    /**
+     * Returns the ids of the paintings carrying each of the given tags.
+     * @param {string[]} tagNames
+     * @returns {Promise<Map<string, string[]>>} tag name -> painting ids
+     */
+    async lookup(tagNames) {
+        await this.ensureBuilt();
+        const result = new Map();
+        for (const name of tagNames) {
+            const ids = this.postings.get(name);
+            if (ids) result.set(name, [...ids]);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the number of distinct paintings in the index.
+     * @returns {Promise<number>}
+     */
+    async size() {
+        await this.ensureBuilt();
+        return this.paintingCount;
+    }
+}
+
+module.exports.TagIndex = TagIndex;
@@ -0,0 +1,164 @@
+const fs = require('fs');
+
+// Hypernyms count for less than the tag itself: "man" is stronger evidence than "person".
+const DEFAULT_HYPERNYM_WEIGHT = 0.7;
+
+// Deepest hypernym chain followed, e.g. "sea" -> "water" -> "nature".
+const MAX_HYPERNYM_DEPTH = 3;
+
+/**
+ * Maps the tag names of Computer Vision and of the catalog onto one vocabulary, so that
+ * "ocean" matches "sea", "boats" matches "boat" and "woman" matches "person".
+ *
+ * The vocabulary is configured with:
+ * - `synonyms`: canonical tag -> other names for it, in any language
+ * - `hypernyms`: broader tag -> narrower tags it covers
+ * - `irregularPlurals`: plural -> singular, for plurals the suffix rules get wrong
+ * - `invariant`: names never singularized, such as "glasses"
+ * - `hypernymWeight`: factor applied to a tag's confidence per hypernym level
+ */
+class TagVocabulary {
+    /**
+     * @param {Object} [config]
+     */
+    constructor(config = {}) {
+        this.irregularPlurals = new Map(Object.entries(config.irregularPlurals || {}).map(([plural, singular]) => [normalize(plural), normalize(singular)]));
+        this.invariant = new Set((config.invariant || []).map(normalize));
+        this.hypernymWeight = typeof config.hypernymWeight === 'number' ? config.hypernymWeight : DEFAULT_HYPERNYM_WEIGHT;
+
+        this.canonicalNames = new Map();
+        for (const [canonical, names] of Object.entries(config.synonyms || {})) {
+            for (const name of names) this.canonicalNames.set(normalize(name), normalize(canonical));
+        }
+
+        this.broaderTags = new Map();
+        for (const [broader, narrower] of Object.entries(config.hypernyms || {})) {
+            for (const name of narrower) {
+                const canonical = this.canonical(name);
+                const tags = this.broaderTags.get(canonical) || [];
+                tags.push(this.canonical(broader));
+                this.broaderTags.set(canonical, tags);
+            }
+        }
+    }
+
+    /**
+     * Returns the canonical name of a tag: lower-cased, singular, and mapped through the synonyms.
+     * @param {string} name
+     * @returns {string}
+     */
+    canonical(name) {
+        const normalized = normalize(name);
+        if (this.canonicalNames.has(normalized)) return this.canonicalNames.get(normalized);
+
+        const singular = this.singularize(normalized);
+        return this.canonicalNames.get(singular) || singular;
+    }
+
+    /**
+     * Returns the canonical tag followed by its hypernyms, each with the weight it carries.
+     * @param {string} name
+     * @returns {Object[]} `{ name, weight }` entries.
+     */
+    expand(name) {
+        const canonical = this.canonical(name);
+        const expanded = [{ name: canonical, weight: 1 }];
+        const seen = new Set([canonical]);
+
+        let level = [canonical];
+        for (let depth = 1; depth <= MAX_HYPERNYM_DEPTH && level.length > 0; depth++) {
+            const next = [];
+            for (const tag of level) {
+                for (const broader of this.broaderTags.get(tag) || []) {
+                    if (seen.has(broader)) continue;
+                    seen.add(broader);
+                    next.push(broader);
+                    expanded.push({ name: broader, weight: Math.pow(this.hypernymWeight, depth) });
+                }
+            }
+            level = next;
+        }
+        return expanded;
+    }
+
+    /**
+     * Canonicalizes vision tags, adding their hypernyms with reduced confidence.
+     * @param {Object[]} tags `{ name, confidence }` tags.
+     * @returns {Object[]}
+     */
+    canonicalizeTags(tags) {
+        const canonicalized = [];
+        for (const tag of tags) {
+            for (const { name, weight } of this.expand(tag.name)) {
+                canonicalized.push({ name, confidence: tag.confidence * weight });
+            }
+        }
+        return canonicalized;
+    }
+
+    /**
+     * Canonicalizes catalog `{ paintid, tag }` rows, adding a row for every hypernym.
+     * @param {Object[]} rows
+     * @returns {Object[]}
+     */
+    canonicalizeRows(rows) {
+        const canonicalized = [];
+        for (const row of rows) {
+            if (!row.tag) {
+                canonicalized.push(row);
+                continue;
+            }
+            for (const { name } of this.expand(row.tag)) {
+                canonicalized.push({ paintid: row.paintid, tag: name });
+            }
+        }
+        return canonicalized;
+    }
+
+    /**
+     * Folds an English plural into its singular. Only the last word of a tag is folded,
+     * and names outside the Latin alphabet are left alone.
+     */
+    singularize(name) {
+        if (this.invariant.has(name)) return name;
+
+        const words = name.split(' ');
+        const last = words[words.length - 1];
+        if (!/^[a-z]+$/.test(last) || this.invariant.has(last)) return name;
+
+        let singular = this.irregularPlurals.get(last);
+        if (!singular) {
+            if (last.length > 4 && last.endsWith('ies')) {
+                singular = last.slice(0, -3) + 'y';
+            } else if (/(ss|sh|ch|x|z)es$/.test(last)) {
+                singular = last.slice(0, -2);
+            } else if (last.length > 3 && last.endsWith('s') && !/(ss|us|is)$/.test(last)) {
+                singular = last.slice(0, -1);
+            } else {
+                singular = last;
+            }
+        }
+        words[words.length - 1] = singular;
+        return words.join(' ');
+    }
+}
+
+function normalize(name) {
+    return String(name).normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Loads the vocabulary from a JSON file. Without the file only plural folding applies.
+ * @param {string} filePath
+ * @returns {TagVocabulary}
+ */
+function loadTagVocabulary(filePath) {
+    if (!fs.existsSync(filePath)) {
+        console.log(`[TagVocabulary]: ${ filePath } not found, using plural folding only.`);
+        return new TagVocabulary();
+    }
+    return new TagVocabulary(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+module.exports.TagVocabulary = TagVocabulary;
+module.exports.loadTagVocabulary = loadTagVocabulary;
@@ -0,0 +1,95 @@
+// Title similarity, from 0 to 1, below which a painting is not taken to be the one named.
+const MIN_TITLE_SIMILARITY = 0.75;
+
+// Two words at least this similar count as the same word misspelt.
+const MIN_WORD_SIMILARITY = 0.8;
+
+// A shortened title must name at least this share of the title's words, and at least
+// this many of them, so one common word such as "night" does not name a painting.
+const MIN_MATCHED_SHARE = 0.5;
+const MIN_MATCHED_WORDS = 2;
+
+// Articles ignored at the start of titles, so "Starry Night" finds "The Starry Night".
+const LEADING_ARTICLES = new Set(['the', 'a', 'an', 'la', 'le', 'les', 'el', 'il', 'der', 'die', 'das', 'de']);
+
+/**
+ * Finds the painting whose title best matches the title a user typed, allowing for
+ * missing articles, accents, typos and shortened titles.
+ *
+ * Titles are compared whole by edit distance and word by word: when every word typed
+ * is, give or take a typo, a word of the title, and they make up at least half of the
+ * title and two words of it (or all of a one-word title), the title scores from 0.5 to 1
+ * depending on how much of it was typed and how closely. The higher of the two scores counts.
+ * @param {string} title
+ * @param {Object[]} paintings
+ * @param {number} [minSimilarity]
+ * @returns {{ painting: Object, similarity: number }|undefined} The best match, if similar enough.
+ */
+function matchTitle(title, paintings, minSimilarity = MIN_TITLE_SIMILARITY) {
+    const query = titleWords(title);
+    if (query.length === 0) return undefined;
+
+    let best;
+    for (const painting of paintings) {
+        const similarity = titleSimilarity(query, titleWords(painting.title));
+        if (similarity >= minSimilarity && (!best || similarity > best.similarity)) {
+            best = { painting, similarity };
+        }
+    }
+    return best;
+}
+
+function titleSimilarity(query, words) {
+    if (words.length === 0) return 0;
+    const whole = similarity(query.join(' '), words.join(' '));
+    if (query.length < Math.min(words.length, MIN_MATCHED_WORDS) || query.length < MIN_MATCHED_SHARE * words.length) {
+        return whole;
+    }
+
+    const matched = new Set();
+    let matchedSimilarity = 0;
+    for (const word of query) {
+        const index = words.findIndex((candidate, i) => !matched.has(i) && similarity(word, candidate) >= MIN_WORD_SIMILARITY);
+        if (index < 0) return whole;
+        matched.add(index);
+        matchedSimilarity += similarity(word, words[index]);
+    }
+    return Math.max(whole, 0.5 + 0.5 * matchedSimilarity / words.length);
+}
+
+/**
+ * Lower-case words of a title without accents, punctuation or a leading article.
+ */
+function titleWords(title) {
+    const words = String(title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+    return words.length > 1 && LEADING_ARTICLES.has(words[0]) ? words.slice(1) : words;
+}
+
+/**
+ * 1 minus the edit distance of the two strings divided by the longer length.
+ */
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+module.exports.matchTitle = matchTitle;
+module.exports.MIN_TITLE_SIMILARITY = MIN_TITLE_SIMILARITY;
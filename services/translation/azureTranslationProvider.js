@@ -0,0 +1,104 @@
+const axios = require('axios');
+const uuid = require('uuid');
+const { TranslationError, TranslationProvider } = require('./translationProvider');
+
+const DEFAULT_ENDPOINT = 'https://api.cognitive.microsofttranslator.com';
+const REQUEST_TIMEOUT = 10000;
+
+// Limits of one Translator request; larger batches are sent in several requests.
+const MAX_TEXTS_PER_REQUEST = 100;
+const MAX_CHARACTERS_PER_REQUEST = 50000;
+
+/**
+ * Translates with the Azure Translator service, version 3.0.
+ */
+class AzureTranslationProvider extends TranslationProvider {
+    /**
+     * @param {Object} settings
+     * @param {string} settings.key Translator subscription key.
+     * @param {string} [settings.endpoint] Translator endpoint.
+     * @param {string} [settings.region] Region of a regional or multi-service resource.
+     */
+    constructor(settings) {
+        super();
+        if (!settings || !settings.key) throw new Error('[AzureTranslationProvider]: Missing parameter. settings.key is required');
+        this.key = settings.key;
+        this.endpoint = settings.endpoint || DEFAULT_ENDPOINT;
+        this.region = settings.region;
+    }
+
+    /**
+     * Creates the provider from the `TranslatorKey`, `TranslatorEndpoint` and `TranslatorLocation` settings.
+     */
+    static fromEnvironment() {
+        return new AzureTranslationProvider({
+            key: process.env.TranslatorKey,
+            endpoint: process.env.TranslatorEndpoint,
+            region: process.env.TranslatorLocation
+        });
+    }
+
+    async translate(texts, to, from) {
+        const params = { to };
+        if (from) params.from = from;
+        const results = await this.post('/translate', params, texts);
+        return results.map(result => ({
+            text: result.translations[0].text,
+            language: from || result.detectedLanguage.language,
+            confidence: from ? 1 : result.detectedLanguage.score
+        }));
+    }
+
+    /**
+     * Sends the texts in as few requests as the service limits allow, and returns the
+     * results of all of them in order.
+     */
+    async post(path, params, texts) {
+        const results = [];
+        for (const batch of splitBatches(texts)) {
+            const headers = {
+                'Ocp-Apim-Subscription-Key': this.key,
+                'Content-type': 'application/json',
+                'X-ClientTraceId': uuid.v4()
+            };
+            if (this.region) headers['Ocp-Apim-Subscription-Region'] = this.region;
+
+            let response;
+            try {
+                response = await axios({
+                    baseURL: this.endpoint,
+                    url: path,
+                    method: 'post',
+                    headers,
+                    params: { 'api-version': '3.0', ...params },
+                    data: batch.map(text => ({ text })),
+                    responseType: 'json',
+                    timeout: REQUEST_TIMEOUT
+                });
+            } catch (err) {
+                throw new TranslationError(`Translator ${ path } failed for ${ batch.length } texts: ${ err.message }`, err);
+            }
+            results.push(...response.data);
+        }
+        return results;
+    }
+}
+
+function splitBatches(texts) {
+    const batches = [];
+    let batch = [];
+    let characters = 0;
+    for (const text of texts) {
+        if (batch.length > 0 && (batch.length >= MAX_TEXTS_PER_REQUEST || characters + text.length > MAX_CHARACTERS_PER_REQUEST)) {
+            batches.push(batch);
+            batch = [];
+            characters = 0;
+        }
+        batch.push(text);
+        characters += text.length;
+    }
+    if (batch.length > 0) batches.push(batch);
+    return batches;
+}
+
+module.exports.AzureTranslationProvider = AzureTranslationProvider;
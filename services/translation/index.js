@@ -0,0 +1,31 @@
+const { AzureTranslationProvider } = require('./azureTranslationProvider');
+const { MockTranslationProvider } = require('./mockTranslationProvider');
+const { normalizeLanguage, TranslationError, TranslationProvider } = require('./translationProvider');
+const { CACHE_SIZE, Translator } = require('./translator');
+
+/**
+ * Creates the translator, with the provider selected by the `TranslatorProvider` setting:
+ * `azure`, or `mock` to run offline without translating. Without the setting Azure is used
+ * when `TranslatorKey` is configured. `TranslationCacheSize` sets how many translations
+ * are kept in memory.
+ */
+function createTranslator() {
+    const provider = process.env.TranslatorProvider || (process.env.TranslatorKey ? 'azure' : 'mock');
+    const cacheSize = Number(process.env.TranslationCacheSize || CACHE_SIZE);
+    switch (provider) {
+    case 'azure':
+        return new Translator(AzureTranslationProvider.fromEnvironment(), { cacheSize });
+    case 'mock':
+        return new Translator(new MockTranslationProvider(), { cacheSize });
+    default:
+        throw new Error(`[createTranslator]: Unknown TranslatorProvider "${ provider }". Use "azure" or "mock".`);
+    }
+}
+
+module.exports.createTranslator = createTranslator;
+module.exports.AzureTranslationProvider = AzureTranslationProvider;
+module.exports.MockTranslationProvider = MockTranslationProvider;
+module.exports.normalizeLanguage = normalizeLanguage;
+module.exports.TranslationError = TranslationError;
+module.exports.TranslationProvider = TranslationProvider;
+module.exports.Translator = Translator;
@@ -0,0 +1,49 @@
+const { TranslationProvider } = require('./translationProvider');
+
+// Marks the language of a text, as in "[fr] Bonjour".
+const LANGUAGE_TAG = /^\[([A-Za-z]{2,3}(?:-[A-Za-z]+)?)\]\s*/;
+
+/**
+ * Offline translation provider for tests and local runs. It does not translate: a text
+ * starting with a language tag, such as "[fr] Bonjour", is taken to be in that language,
+ * and any other text to be English. Translating drops the tag, then tags the text with
+ * the target language unless it is English, so "[fr] Bonjour" reads as "Bonjour" in
+ * English and "Hello" as "[fr] Hello" in French.
+ *
+ * Every call is recorded in `requests`, to check how texts were batched.
+ */
+class MockTranslationProvider extends TranslationProvider {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.confidence] Confidence reported for the detections, 1 by default.
+     */
+    constructor(options = {}) {
+        super();
+        this.confidence = options.confidence === undefined ? 1 : options.confidence;
+        this.requests = [];
+    }
+
+    async translate(texts, to, from) {
+        this.requests.push({ texts, to, from });
+        return texts.map(text => ({
+            text: tagText(untagText(text), to),
+            language: from || languageOf(text),
+            confidence: from ? 1 : this.confidence
+        }));
+    }
+}
+
+function languageOf(text) {
+    const match = LANGUAGE_TAG.exec(text);
+    return match ? match[1] : 'en';
+}
+
+function untagText(text) {
+    return text.replace(LANGUAGE_TAG, '');
+}
+
+function tagText(text, language) {
+    return language === 'en' ? text : `[${ language }] ${ text }`;
+}
+
+module.exports.MockTranslationProvider = MockTranslationProvider;
@@ -0,0 +1,49 @@
+/**
+ * Error thrown by translation providers when a request fails. `message` is meant for
+ * the logs; the bot falls back to the untranslated text.
+ */
+class TranslationError extends Error {
+    /**
+     * @param {string} message
+     * @param {Error} [cause] Underlying error, if any.
+     */
+    constructor(message, cause) {
+        super(message);
+        this.name = 'TranslationError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * Base class of the translation providers. Languages are plain codes such as `en`, `fr`
+ * or `zh-Hans`.
+ */
+class TranslationProvider {
+    /**
+     * Translates a batch of texts into `to`, in a single request when the service allows
+     * it. When `from` is omitted the language of each text is detected, and returned with
+     * the confidence of the detection.
+     * @param {string[]} texts
+     * @param {string} to
+     * @param {string} [from]
+     * @returns {Promise<Object[]>} `{ text, language, confidence }` results, with confidences in 0..1.
+     * @throws {TranslationError}
+     */
+    async translate(texts, to, from) {
+        throw new Error(`[${ this.constructor.name }]: translate is not implemented`);
+    }
+}
+
+/**
+ * Returns a plain language code. User profiles saved by earlier versions of the bot hold
+ * the code as a JSON string, such as `"en"` with its quotes. Defaults to `en`.
+ * @param {string} [language]
+ */
+function normalizeLanguage(language) {
+    const code = String(language || '').trim().replace(/^"(.*)"$/, '$1');
+    return code || 'en';
+}
+
+module.exports.normalizeLanguage = normalizeLanguage;
+module.exports.TranslationError = TranslationError;
+module.exports.TranslationProvider = TranslationProvider;
@@ -0,0 +1,116 @@
+// Translations kept in memory, least recently used first; the oldest is evicted when full.
+const CACHE_SIZE = 1000;
+
+/**
+ * Translates the bot's messages through a `TranslationProvider`. Calls made together, such
+ * as with `Promise.all()`, are batched: the texts going between the same two languages
+ * are sent in one request. Translations are cached, so the bot's fixed sentences are only
+ * translated once per language.
+ */
+class Translator {
+    /**
+     * @param {TranslationProvider} provider
+     * @param {Object} [options]
+     * @param {number} [options.cacheSize] Translations kept in memory; 0 turns the cache off.
+     */
+    constructor(provider, options = {}) {
+        if (!provider) throw new Error('[Translator]: Missing parameter. provider is required');
+        this.provider = provider;
+        this.cacheSize = options.cacheSize === undefined ? CACHE_SIZE : options.cacheSize;
+        this.cache = new Map();
+        // Texts waiting to be sent, by pair of languages.
+        this.pending = new Map();
+    }
+
+    /**
+     * Translates a text. Text already in the target language is returned as it is.
+     * @param {string} text
+     * @param {string} to Language code, such as `fr`.
+     * @param {string} [from] Language code, `en` by default.
+     * @returns {Promise<string>}
+     * @throws {TranslationError}
+     */
+    async translate(text, to, from = 'en') {
+        if (!text || to === from) return text;
+        return (await this.lookup(text, to, from)).text;
+    }
+
+    /**
+     * Translates several texts in one request.
+     * @param {string[]} texts
+     * @param {string} to
+     * @param {string} [from]
+     * @returns {Promise<string[]>}
+     */
+    translateAll(texts, to, from) {
+        return Promise.all(texts.map(text => this.translate(text, to, from)));
+    }
+
+    /**
+     * Translates a text in any language into English.
+     * @param {string} text
+     * @returns {Promise<{ text: string, language: string, confidence: number }>} The English
+     * text, with the language detected and the confidence of the detection, in 0..1.
+     * @throws {TranslationError}
+     */
+    async toEnglish(text) {
+        if (!text) return { text, language: 'en', confidence: 0 };
+        return this.lookup(text, 'en', undefined);
+    }
+
+    lookup(text, to, from) {
+        const key = `${ from || 'auto' }|${ to }|${ text }`;
+        const cached = this.cache.get(key);
+        if (cached) {
+            // Move it to the most recently used end.
+            this.cache.delete(key);
+            this.cache.set(key, cached);
+            return Promise.resolve(cached);
+        }
+        return this.enqueue(text, to, from).then(result => {
+            this.remember(key, result);
+            return result;
+        });
+    }
+
+    enqueue(text, to, from) {
+        const batchKey = `${ from || 'auto' }|${ to }`;
+        let batch = this.pending.get(batchKey);
+        if (!batch) {
+            batch = { to, from, callers: new Map() };
+            this.pending.set(batchKey, batch);
+            setImmediate(() => this.flush(batchKey));
+        }
+        return new Promise((resolve, reject) => {
+            const callers = batch.callers.get(text) || [];
+            callers.push({ resolve, reject });
+            batch.callers.set(text, callers);
+        });
+    }
+
+    async flush(batchKey) {
+        const batch = this.pending.get(batchKey);
+        this.pending.delete(batchKey);
+
+        const texts = [...batch.callers.keys()];
+        let results;
+        try {
+            results = await this.provider.translate(texts, batch.to, batch.from);
+        } catch (err) {
+            batch.callers.forEach(callers => callers.forEach(caller => caller.reject(err)));
+            return;
+        }
+        texts.forEach((text, i) => batch.callers.get(text).forEach(caller => caller.resolve(results[i])));
+    }
+
+    remember(key, result) {
+        if (this.cacheSize <= 0) return;
+        this.cache.set(key, result);
+        if (this.cache.size > this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+}
+
+module.exports.CACHE_SIZE = CACHE_SIZE;
+module.exports.Translator = Translator;
@@ -0,0 +1,41 @@
+const { ComputerVisionClient } = require('@azure/cognitiveservices-computervision');
+const { ApiKeyCredentials } = require('@azure/ms-rest-js');
+const { VisionError, VisionProvider, normalizeTags } = require('./visionProvider');
+
+/**
+ * Tags images with the Azure Computer Vision service.
+ */
+class AzureVisionProvider extends VisionProvider {
+    /**
+     * @param {ComputerVisionClient} client
+     */
+    constructor(client) {
+        super();
+        if (!client) throw new Error('[AzureVisionProvider]: Missing parameter. client is required');
+        this.client = client;
+    }
+
+    /**
+     * Creates the provider from the `CVAPIKey` and `CVEndpointHostName` settings.
+     */
+    static fromEnvironment() {
+        return new AzureVisionProvider(new ComputerVisionClient(
+            new ApiKeyCredentials({ inHeader: { 'Ocp-Apim-Subscription-Key': process.env.CVAPIKey } }),
+            process.env.CVEndpointHostName));
+    }
+
+    async analyze(imageUrl) {
+        let result;
+        try {
+            result = await this.client.analyzeImage(imageUrl, { visualFeatures: ['Tags'] });
+        } catch (err) {
+            throw new VisionError(`Computer Vision could not analyse ${ imageUrl }: ${ err.message }`, err);
+        }
+
+        const tags = normalizeTags(result.tags);
+        console.log(`Tags: ${ tags.map(tag => `${ tag.name } (${ tag.confidence.toFixed(2) })`).join(', ') }`);
+        return tags;
+    }
+}
+
+module.exports.AzureVisionProvider = AzureVisionProvider;
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { VisionError, VisionProvider, normalizeTags } = require('./visionProvider');
+
+/**
+ * Offline vision provider answering from a JSON fixture file instead of a cloud service:
+ *
+ *   {
+ *       "files": { "sunset.jpg": [{ "name": "sky", "confidence": 0.95 }, "sun"] },
+ *       "hashes": { "<sha256 of the image bytes>": ["sea", "boat"] }
+ *   }
+ *
+ * An image is looked up by its file name first: the name it was sent with, or the one at
+ * the end of the link it came from or of its URL. Then it is looked up by the SHA-256
+ * hash of its content.
+ */
+class FixtureVisionProvider extends VisionProvider {
+    /**
+     * @param {string} fixturesPath Path of the JSON fixture file.
+     */
+    constructor(fixturesPath) {
+        super();
+        if (!fixturesPath) throw new Error('[FixtureVisionProvider]: Missing parameter. fixturesPath is required');
+        this.fixturesPath = fixturesPath;
+        this.fixtures = undefined;
+    }
+
+    async loadFixtures() {
+        if (!this.fixtures) {
+            const content = JSON.parse(await fs.promises.readFile(this.fixturesPath, 'utf8'));
+            this.fixtures = { files: content.files || {}, hashes: content.hashes || {} };
+        }
+        return this.fixtures;
+    }
+
+    async analyze(imageUrl, sourceName) {
+        const fixtures = await this.loadFixtures();
+
+        const fileNames = (sourceName ? [sourceName, imageUrl] : [imageUrl]).map(fileNameOf);
+        const fileName = fileNames.find(name => name && fixtures.files[name]);
+        if (fileName) {
+            return normalizeTags(fixtures.files[fileName]);
+        }
+
+        let content;
+        try {
+            content = await readImage(imageUrl);
+        } catch (err) {
+            throw new VisionError(`No fixture for ${ imageUrl } and the image could not be read: ${ err.message }`, err);
+        }
+
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        if (fixtures.hashes[hash]) {
+            return normalizeTags(fixtures.hashes[hash]);
+        }
+        throw new VisionError(`No fixture for ${ imageUrl } (file names ${ fileNames.map(name => `"${ name }"`).join(', ') }, sha256 ${ hash })`);
+    }
+}
+
+function fileNameOf(imageUrl) {
+    try {
+        return decodeURIComponent(path.posix.basename(new URL(imageUrl).pathname));
+    } catch (err) {
+        return path.basename(imageUrl);
+    }
+}
+
+/**
+ * Reads the image bytes from an http(s) or file URL, or a local path.
+ */
+async function readImage(imageUrl) {
+    if (/^https?:\/\//i.test(imageUrl)) {
+        const response = await axios.get(imageUrl, { responseType: 'arraybuffer' });
+        return Buffer.from(response.data);
+    }
+    const filePath = imageUrl.startsWith('file:') ? new URL(imageUrl) : imageUrl;
+    return fs.promises.readFile(filePath);
+}
+
+module.exports.FixtureVisionProvider = FixtureVisionProvider;
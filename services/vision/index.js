@@ -0,0 +1,31 @@
+const path = require('path');
+const { AzureVisionProvider } = require('./azureVisionProvider');
+const { FixtureVisionProvider } = require('./fixtureVisionProvider');
+const { VisionError, VisionProvider, mergeTags, normalizeTags } = require('./visionProvider');
+
+const DEFAULT_FIXTURES_FILE = path.join(__dirname, '..', '..', 'data', 'vision-fixtures.json');
+
+/**
+ * Creates the vision provider selected by the `VisionProvider` setting: `azure`, or `fixture`
+ * to answer from `VisionFixturesFile` (data/vision-fixtures.json by default). Without the
+ * setting Azure is used when `CVAPIKey` is configured.
+ */
+function createVisionProvider() {
+    const provider = process.env.VisionProvider || (process.env.CVAPIKey ? 'azure' : 'fixture');
+    switch (provider) {
+    case 'azure':
+        return AzureVisionProvider.fromEnvironment();
+    case 'fixture':
+        return new FixtureVisionProvider(process.env.VisionFixturesFile || DEFAULT_FIXTURES_FILE);
+    default:
+        throw new Error(`[createVisionProvider]: Unknown VisionProvider "${ provider }". Use "azure" or "fixture".`);
+    }
+}
+
+module.exports.createVisionProvider = createVisionProvider;
+module.exports.AzureVisionProvider = AzureVisionProvider;
+module.exports.FixtureVisionProvider = FixtureVisionProvider;
+module.exports.VisionError = VisionError;
+module.exports.VisionProvider = VisionProvider;
+module.exports.mergeTags = mergeTags;
+module.exports.normalizeTags = normalizeTags;
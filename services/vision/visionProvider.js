@@ -0,0 +1,71 @@
+/**
+ * Error thrown by vision providers when an image cannot be analysed. `message` is
+ * meant for the logs; the bot replies to the user with its own wording.
+ */
+class VisionError extends Error {
+    /**
+     * @param {string} message
+     * @param {Error} [cause] Underlying error, if any.
+     */
+    constructor(message, cause) {
+        super(message);
+        this.name = 'VisionError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * Base class of the vision providers, which tag the content of an image.
+ */
+class VisionProvider {
+    /**
+     * Returns the tags found in the image, best first.
+     * @param {string} imageUrl
+     * @param {string} [sourceName] What the image was called before it was stored under a
+     * name of its own: the file name it was sent with, or the link it came from.
+     * @returns {Promise<Object[]>} `{ name, confidence }` tags, with lower-case names and confidences in 0..1.
+     * @throws {VisionError} When the image cannot be analysed.
+     */
+    async analyze(imageUrl, sourceName) {
+        throw new Error(`[${ this.constructor.name }]: analyze is not implemented`);
+    }
+}
+
+/**
+ * Normalizes provider output into `{ name, confidence }` tags sorted by confidence.
+ * Tags may be given as plain names, which get a confidence of 1.
+ * @param {Array<Object|string>} tags
+ * @returns {Object[]}
+ */
+function normalizeTags(tags) {
+    return (tags || [])
+        .map(tag => typeof tag === 'string' ? { name: tag } : tag)
+        .filter(tag => tag && typeof tag.name === 'string' && tag.name.trim() !== '')
+        .map(tag => ({
+            name: tag.name.trim().toLowerCase(),
+            confidence: typeof tag.confidence === 'number' ? Math.min(Math.max(tag.confidence, 0), 1) : 1
+        }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Merges the tags of several photos of one scene into a single tag profile. Each tag
+ * keeps the highest confidence any of the photos gave it.
+ * @param {Object[][]} tagLists `{ name, confidence }` tags of each photo.
+ * @returns {Object[]}
+ */
+function mergeTags(tagLists) {
+    const byName = new Map();
+    for (const tags of tagLists) {
+        for (const tag of tags) {
+            const seen = byName.get(tag.name);
+            if (!seen || seen.confidence < tag.confidence) byName.set(tag.name, { name: tag.name, confidence: tag.confidence });
+        }
+    }
+    return [...byName.values()].sort((a, b) => b.confidence - a.confidence);
+}
+
+module.exports.VisionError = VisionError;
+module.exports.VisionProvider = VisionProvider;
+module.exports.mergeTags = mergeTags;
+module.exports.normalizeTags = normalizeTags;